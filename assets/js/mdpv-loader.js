@@ -45,8 +45,39 @@
         download: 'download',
         print: 'print',
         fullscreen: 'fullscreen',
+        search: 'search',
+        thumbnails: 'thumbnails',
+        viewMode: 'viewMode',
+        spread: 'spread',
+        pageColors: 'pageColors',
+        zoom: 'zoom',
+        rotation: 'rotation',
+        deepLink: 'deepLink',
+        rangeChunkSize: 'rangeChunkSize',
+        autoFetch: 'autoFetch',
+        stream: 'stream',
+        range: 'range',
+        textLayer: 'textLayer',
+        forms: 'forms',
+        handTool: 'handTool',
+        autoAdvance: 'autoAdvance',
+        resume: 'resume',
+        linksNewTab: 'linksNewTab',
+        shortcuts: 'shortcuts',
     };
 
+    /**
+     * Deep link fragment: #mdpv-<pdf id or anchor>:page=17&zoom=page-width
+     * @type {RegExp}
+     */
+    const DEEP_LINK_PATTERN = /^#mdpv-([^:]+)(?::(.*))?$/;
+
+    /**
+     * Viewer instances by viewer element
+     * @type {WeakMap<HTMLElement, Object>}
+     */
+    const instances = new WeakMap();
+
     /**
      * MDPV Loader Class
      * 
@@ -65,6 +96,9 @@
             
             /** @type {WeakSet<HTMLElement>} */
             this.activatedViewers = new WeakSet();
+
+            /** @type {WeakSet<HTMLElement>} Viewers that activate on click */
+            this.clickableViewers = new WeakSet();
             
             /** @type {Object|null} */
             this.viewerModule = null;
@@ -80,6 +114,30 @@
             }
         }
 
+        /**
+         * Get the viewer instance for an element
+         *
+         * @param {HTMLElement|string} element - Viewer element, an element inside it, or a selector
+         * @returns {Object|null} MDPVViewer instance, or null if the viewer is not active
+         */
+        static getViewer( element ) {
+            const el = typeof element === 'string' ? document.querySelector( element ) : element;
+            const viewer = el && el.closest ? el.closest( '.' + CLASSES.viewer ) : null;
+
+            return ( viewer && instances.get( viewer ) ) || null;
+        }
+
+        /**
+         * Get all active viewer instances on the page
+         *
+         * @returns {Object[]} MDPVViewer instances
+         */
+        static getViewers() {
+            return Array.from( document.querySelectorAll( '.' + CLASSES.viewer ) )
+                .map( ( viewer ) => instances.get( viewer ) )
+                .filter( Boolean );
+        }
+
         /**
          * Initialize all viewers on the page
          */
@@ -96,6 +154,103 @@
                 this.initializedViewers.add( viewer );
                 this.initViewer( viewer );
             } );
+
+            // Open the viewer a deep link points at, now and when the fragment changes
+            this.openDeepLink();
+            window.addEventListener( 'hashchange', () => this.openDeepLink() );
+        }
+
+        /**
+         * Parse a viewer deep link from the URL fragment
+         *
+         * @returns {Object|null} Link ({ key, page, zoom }), or null if the fragment is not a deep link
+         */
+        parseDeepLink() {
+            const match = DEEP_LINK_PATTERN.exec( window.location.hash );
+            if ( ! match ) {
+                return null;
+            }
+
+            let key;
+            try {
+                key = decodeURIComponent( match[ 1 ] );
+            } catch ( error ) {
+                // Malformed escape such as %E0; not a link to any viewer
+                return null;
+            }
+
+            const params = new URLSearchParams( match[ 2 ] || '' );
+
+            return {
+                key,
+                page: parseInt( params.get( 'page' ) || '0', 10 ) || 0,
+                zoom: params.get( 'zoom' ) || '',
+            };
+        }
+
+        /**
+         * Check whether a deep link points at a viewer
+         *
+         * @param {HTMLElement} viewer - Viewer element
+         * @param {Object|null} link - Parsed deep link
+         * @returns {boolean} True if the link key is the viewer's PDF ID or element ID
+         */
+        matchesDeepLink( viewer, link ) {
+            return !! link && viewer.dataset[ DATA.deepLink ] !== 'false' &&
+                ( viewer.dataset[ DATA.pdfId ] === link.key || viewer.id === link.key );
+        }
+
+        /**
+         * Get the key a viewer writes into deep links
+         *
+         * @param {HTMLElement} viewer - Viewer element
+         * @returns {string} Block anchor if set, otherwise the PDF ID; empty if deep links are off
+         */
+        getDeepLinkKey( viewer ) {
+            if ( viewer.dataset[ DATA.deepLink ] === 'false' ) {
+                return '';
+            }
+
+            const pdfId = viewer.dataset[ DATA.pdfId ] || '';
+
+            return viewer.id && viewer.id !== 'mdpv-viewer-' + pdfId ? viewer.id : pdfId;
+        }
+
+        /**
+         * Activate, or move, the viewer the URL fragment points at
+         *
+         * Activates regardless of the viewer's load behavior.
+         */
+        openDeepLink() {
+            const link = this.parseDeepLink();
+            const viewer = Array.from( this.viewers ).find( ( el ) => this.matchesDeepLink( el, link ) );
+
+            if ( ! viewer ) {
+                return;
+            }
+
+            viewer.scrollIntoView( { block: 'start' } );
+
+            // Already open: move it; a new viewer reads the link in getViewerConfig()
+            const instance = instances.get( viewer );
+
+            if ( instance ) {
+                if ( link.page ) {
+                    instance.goToPage( link.page );
+                }
+
+                if ( link.zoom ) {
+                    instance.setZoomMode( link.zoom );
+                }
+
+                return;
+            }
+
+            if ( this.intersectionObserver ) {
+                this.intersectionObserver.unobserve( viewer );
+            }
+
+            this.activateViewer( viewer );
         }
 
         /**
@@ -161,6 +316,11 @@
          * @param {HTMLElement} viewer - Viewer element
          */
         attachClickHandler( viewer ) {
+            if ( this.clickableViewers.has( viewer ) ) {
+                return;
+            }
+            this.clickableViewers.add( viewer );
+
             // Handle activate button click
             const activateBtn = viewer.querySelector( '.' + CLASSES.activate );
             if ( activateBtn ) {
@@ -203,14 +363,26 @@
                     // Get viewer configuration from data attributes
                     const viewerConfig = this.getViewerConfig( viewer );
 
-                    // Initialize the full viewer
-                    new ViewerClass( viewer, viewerConfig );
+                    // Initialize the full viewer and register it for MDPVLoader.getViewer()
+                    instances.set( viewer, new ViewerClass( viewer, viewerConfig ) );
+
+                    // A destroyed viewer can be activated again, by click whatever its load behavior
+                    viewer.addEventListener( 'mdpv:destroyed', () => {
+                        instances.delete( viewer );
+                        this.activatedViewers.delete( viewer );
+                        this.attachClickHandler( viewer );
+                    }, { once: true } );
                 } else {
                     throw new Error( config.i18n?.loadError || 'Failed to load viewer module' );
                 }
             } catch ( error ) {
                 console.error( '[MDPV] Viewer activation failed:', error );
                 this.showError( viewer, error.message || config.i18n?.error || 'Failed to load document' );
+
+                viewer.dispatchEvent( new CustomEvent( 'mdpv:error', {
+                    bubbles: true,
+                    detail: { viewer: null, error },
+                } ) );
                 
                 // Allow retry
                 this.activatedViewers.delete( viewer );
@@ -267,6 +439,9 @@
          * @returns {Object} Viewer configuration
          */
         getViewerConfig( viewer ) {
+            const link = this.parseDeepLink();
+            const deepLink = this.matchesDeepLink( viewer, link ) ? link : null;
+
             return {
                 pdfUrl: viewer.dataset[ DATA.pdfUrl ] || '',
                 pdfId: parseInt( viewer.dataset[ DATA.pdfId ] || '0', 10 ),
@@ -275,6 +450,27 @@
                 showDownload: viewer.dataset[ DATA.download ] !== 'false',
                 showPrint: viewer.dataset[ DATA.print ] !== 'false',
                 showFullscreen: viewer.dataset[ DATA.fullscreen ] !== 'false',
+                showSearch: viewer.dataset[ DATA.search ] !== 'false',
+                showThumbnails: viewer.dataset[ DATA.thumbnails ] !== 'false',
+                viewMode: viewer.dataset[ DATA.viewMode ] || 'single', // 'single' or 'continuous'
+                spread: viewer.dataset[ DATA.spread ] || 'none', // 'none', 'cover' or 'odd' (single mode)
+                pageColors: viewer.dataset[ DATA.pageColors ] || 'default', // Used until the reader picks their own
+                zoom: deepLink?.zoom || viewer.dataset[ DATA.zoom ] || 'page-width', // 'page-fit', 'page-width', 'page-actual' or a percentage
+                page: deepLink?.page || 1,
+                deepLinked: !! deepLink?.page, // Opened from a link to a page, which wins over a saved position
+                deepLinkKey: this.getDeepLinkKey( viewer ),
+                rotation: parseInt( viewer.dataset[ DATA.rotation ] || '0', 10 ), // Degrees clockwise: 0, 90, 180 or 270
+                enableTextLayer: viewer.dataset[ DATA.textLayer ] !== 'false',
+                enableForms: viewer.dataset[ DATA.forms ] !== 'false',
+                handTool: viewer.dataset[ DATA.handTool ] === 'true', // Start with drag-to-pan instead of text selection
+                autoAdvance: parseFloat( viewer.dataset[ DATA.autoAdvance ] || '0' ) || 0, // Seconds per page in presentation mode, 0 = off
+                resume: viewer.dataset[ DATA.resume ] === 'false' ? 'off' : viewer.dataset[ DATA.resume ] || 'prompt', // 'prompt', 'auto' or 'off'
+                openLinksInNewTab: viewer.dataset[ DATA.linksNewTab ] !== 'false',
+                rangeChunkSize: parseInt( viewer.dataset[ DATA.rangeChunkSize ] || '65536', 10 ), // Bytes per range request
+                disableAutoFetch: viewer.dataset[ DATA.autoFetch ] === 'false', // Only fetch ranges as pages need them
+                disableStream: viewer.dataset[ DATA.stream ] === 'false',
+                disableRange: viewer.dataset[ DATA.range ] === 'false',
+                shortcuts: this.getShortcuts( viewer ),
                 pdfjsUrl: config.pdfjsUrl || '', // Local PDF.js URL if available
                 workerUrl: config.pdfWorkerUrl || '',
                 cmapsUrl: config.cmapsUrl || '', // Local cmaps URL if available
@@ -282,6 +478,29 @@
             };
         }
 
+        /**
+         * Get keyboard shortcut overrides
+         *
+         * Site-wide overrides come from the `mdpv_keyboard_shortcuts`
+         * filter; a viewer's `data-shortcuts` JSON is applied on top.
+         *
+         * @param {HTMLElement} viewer - Viewer element
+         * @returns {Object} Key combinations by action, false to disable one
+         */
+        getShortcuts( viewer ) {
+            let own = {};
+
+            if ( viewer.dataset[ DATA.shortcuts ] ) {
+                try {
+                    own = JSON.parse( viewer.dataset[ DATA.shortcuts ] );
+                } catch ( error ) {
+                    console.error( '[MDPV] Invalid data-shortcuts JSON:', error );
+                }
+            }
+
+            return { ...( config.shortcuts || {} ), ...own };
+        }
+
         /**
          * Show loading state
          * 
@@ -374,7 +593,7 @@
         initLoader();
     }
 
-    // Expose for external use if needed
+    // Expose for external use: MDPVLoader.getViewer( element ) returns a viewer's instance
     window.MDPVLoader = MDPVLoader;
 
 } )();
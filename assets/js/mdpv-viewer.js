@@ -16,28 +16,264 @@ const CLASSES = {
 	viewer: 'mdpv-viewer',
 	active: 'mdpv-active',
 	loading: 'mdpv-loading',
+	loadingProgress: 'mdpv-loading-progress',
+	loadingPercent: 'mdpv-loading-percent',
+	loadingCancel: 'mdpv-loading-cancel',
 	loadingActive: 'mdpv-loading-active',
 	preview: 'mdpv-preview',
 	activate: 'mdpv-activate',
 	canvasContainer: 'mdpv-canvas-container',
 	canvas: 'mdpv-canvas',
+	continuous: 'mdpv-continuous',
+	pages: 'mdpv-pages',
+	pinching: 'mdpv-pinching',
+	handTool: 'mdpv-hand-tool',
+	presenting: 'mdpv-presenting',
+	controlsVisible: 'mdpv-controls-visible',
+	overviewOpen: 'mdpv-overview-open',
+	panning: 'mdpv-panning',
+	spread: 'mdpv-spread',
+	page: 'mdpv-page',
+	textLayer: 'mdpv-text-layer',
+	pageContent: 'mdpv-page-content',
+	srOnly: 'mdpv-sr-only',
+	annotationLayer: 'mdpv-annotation-layer',
+	imageRegions: 'mdpv-image-regions',
+	imageRegion: 'mdpv-image-region',
+	search: 'mdpv-search',
+	searchInput: 'mdpv-search-input',
+	searchCount: 'mdpv-search-count',
+	highlight: 'mdpv-highlight',
+	highlightSelected: 'mdpv-highlight-selected',
+	sidebar: 'mdpv-sidebar',
+	sidebarOpen: 'mdpv-sidebar-open',
+	sidebarTabs: 'mdpv-sidebar-tabs',
+	sidebarTab: 'mdpv-sidebar-tab',
+	sidebarPanel: 'mdpv-sidebar-panel',
+	thumbnails: 'mdpv-thumbnails',
+	thumbnail: 'mdpv-thumbnail',
+	thumbnailImage: 'mdpv-thumbnail-image',
+	thumbnailLabel: 'mdpv-thumbnail-label',
+	thumbnailCurrent: 'mdpv-thumbnail-current',
+	dialog: 'mdpv-dialog',
+	dialogActions: 'mdpv-dialog-actions',
+	dialogSubmit: 'mdpv-dialog-submit',
+	dialogCancel: 'mdpv-dialog-cancel',
+	password: 'mdpv-password',
+	passwordMessage: 'mdpv-password-message',
+	passwordInput: 'mdpv-password-input',
+	passwordError: 'mdpv-password-error',
+	printDialog: 'mdpv-print-dialog',
+	resume: 'mdpv-resume',
+	printRange: 'mdpv-print-range',
+	printError: 'mdpv-print-error',
+	printFrame: 'mdpv-print-frame',
+	outline: 'mdpv-outline',
+	outlineItem: 'mdpv-outline-item',
+	outlineToggle: 'mdpv-outline-toggle',
+	outlineLabel: 'mdpv-outline-label',
 	toolbar: 'mdpv-toolbar',
 	toolbarGroup: 'mdpv-toolbar-group',
 	toolbarBtn: 'mdpv-toolbar-btn',
 	toolbarPageInfo: 'mdpv-toolbar-page-info',
 	toolbarPageInput: 'mdpv-toolbar-page-input',
+	toolbarPageRange: 'mdpv-toolbar-page-range',
+	toolbarColorsSelect: 'mdpv-toolbar-colors-select',
 	toolbarZoom: 'mdpv-toolbar-zoom',
 	toolbarZoomLabel: 'mdpv-toolbar-zoom-label',
+	toolbarZoomSelect: 'mdpv-toolbar-zoom-select',
 	fullscreen: 'mdpv-fullscreen',
 	errorContainer: 'mdpv-error-container',
 	errorMessage: 'mdpv-error-message',
 };
 
 /**
- * Default zoom levels
+ * Default zoom levels (1 = actual size); the ends are the zoom limits
  * @type {number[]}
  */
-const ZOOM_LEVELS = [ 0.5, 0.75, 1, 1.25, 1.5, 2, 3 ];
+const ZOOM_LEVELS = [ 0.25, 0.5, 0.75, 1, 1.25, 1.5, 2, 3, 4 ];
+
+/**
+ * Zoom modes that size pages to the viewer
+ * @type {string[]}
+ */
+const ZOOM_MODES = [ 'page-fit', 'page-width', 'page-actual' ];
+
+/**
+ * CSS pixels per PDF point (96 dpi screen, 72 dpi PDF)
+ * @type {number}
+ */
+const PDF_TO_CSS_UNITS = 96 / 72;
+
+/**
+ * Supported page layout modes
+ * @type {string[]}
+ */
+const VIEW_MODES = [ 'single', 'continuous' ];
+
+/**
+ * Facing page layouts for single mode: one page, cover page alone, or odd pages on the left
+ * @type {string[]}
+ */
+const SPREAD_MODES = [ 'none', 'cover', 'odd' ];
+
+/**
+ * Page color filters; each sets an mdpv-colors-* class on the viewer
+ * @type {string[]}
+ */
+const PAGE_COLORS = [ 'default', 'dark', 'sepia', 'contrast' ];
+
+/**
+ * localStorage key for the reader's page color choice (shared by all viewers)
+ * @type {string}
+ */
+const PAGE_COLORS_STORAGE_KEY = 'mdpv-page-colors';
+
+/**
+ * Dark page colors: images covering more of a page than this are scans, and darken with the text
+ * @type {number}
+ */
+const SCANNED_PAGE_COVERAGE = 0.9;
+
+/**
+ * localStorage key for reading positions, keyed by document
+ * @type {string}
+ */
+const POSITIONS_STORAGE_KEY = 'mdpv-positions';
+
+/**
+ * Reading positions older than this are forgotten, in milliseconds (90 days)
+ * @type {number}
+ */
+const POSITION_MAX_AGE = 90 * 24 * 60 * 60 * 1000;
+
+/**
+ * Most documents to remember a reading position for
+ * @type {number}
+ */
+const POSITION_MAX_ENTRIES = 50;
+
+/**
+ * Ways to return to the saved reading position: ask, go straight there, or never save
+ * @type {string[]}
+ */
+const RESUME_MODES = [ 'prompt', 'auto', 'off' ];
+
+/**
+ * Continuous mode: pages rendered beyond the visible range (each direction)
+ * @type {number}
+ */
+const CONTINUOUS_RENDER_BUFFER = 1;
+
+/**
+ * Continuous mode: pages further than this from the visible range release their canvases
+ * @type {number}
+ */
+const CONTINUOUS_RELEASE_DISTANCE = 3;
+
+/**
+ * Thumbnails further than this from those near view release their canvases
+ * @type {number}
+ */
+const THUMBNAIL_RELEASE_DISTANCE = 30;
+
+/**
+ * Longest gap between two taps of a double-tap, in milliseconds
+ * @type {number}
+ */
+const DOUBLE_TAP_DELAY = 300;
+
+/**
+ * Farthest apart the two taps of a double-tap may land, in CSS pixels
+ * @type {number}
+ */
+const DOUBLE_TAP_DISTANCE = 30;
+
+/**
+ * How long presentation controls stay visible after the mouse stops, in milliseconds
+ * @type {number}
+ */
+const PRESENTATION_CONTROLS_DELAY = 2500;
+
+/**
+ * Largest canvas area in device pixels (stays under mobile browser canvas limits)
+ * @type {number}
+ */
+const MAX_CANVAS_PIXELS = 4096 * 4096;
+
+/**
+ * Single mode: memory budget for cached page bitmaps, in bytes (4 per pixel)
+ * @type {number}
+ */
+const PAGE_CACHE_MAX_BYTES = 128 * 1024 * 1024;
+
+/**
+ * ARIA roles for tagged PDF structure elements; unlisted tags only carry text
+ * @type {Object<string, string>}
+ */
+const STRUCT_ROLES = {
+	Part: 'group',
+	Sect: 'group',
+	Div: 'group',
+	Art: 'article',
+	BlockQuote: 'blockquote',
+	Aside: 'note',
+	Note: 'note',
+	P: 'paragraph',
+	H: 'heading',
+	L: 'list',
+	LI: 'listitem',
+	Table: 'table',
+	TR: 'row',
+	TH: 'columnheader',
+	TD: 'cell',
+	Figure: 'figure',
+	Formula: 'math',
+	Link: 'link',
+	Form: 'form',
+	NonStruct: 'none',
+	Artifact: 'none',
+};
+
+/**
+ * Default keyboard shortcuts by action
+ *
+ * Combinations are written as `Ctrl+Shift+Key`, where Ctrl also means Cmd
+ * and Space is the space bar. Shift only counts for letters and named keys,
+ * as it already shapes symbols such as `+`.
+ * @type {Object<string, string[]>}
+ */
+const DEFAULT_SHORTCUTS = {
+	prevPage: [ 'ArrowLeft', 'ArrowUp', 'PageUp' ],
+	nextPage: [ 'ArrowRight', 'ArrowDown', 'PageDown', 'Space' ],
+	firstPage: [ 'Home' ],
+	lastPage: [ 'End' ],
+	zoomIn: [ 'Ctrl+=', 'Ctrl++' ],
+	zoomOut: [ 'Ctrl+-' ],
+	zoomReset: [ 'Ctrl+0' ],
+	rotateCw: [ 'R' ],
+	rotateCcw: [ 'Shift+R' ],
+	handTool: [ 'H' ],
+	fullscreen: [ 'F', 'Shift+F' ],
+	presentation: [ 'Ctrl+Alt+P' ],
+	autoAdvance: [ 'P' ],
+	overview: [ 'G' ],
+	find: [ 'Ctrl+F' ],
+	download: [ 'Ctrl+S' ],
+	print: [ 'Ctrl+P' ],
+};
+
+/**
+ * Keys named by their physical position while Ctrl/Cmd is held, so zoom
+ * shortcuts work whatever the keyboard layout
+ * @type {Object<string, string>}
+ */
+const SHORTCUT_CODES = {
+	Equal: '=',
+	Minus: '-',
+	NumpadAdd: '+',
+	NumpadSubtract: '-',
+};
 
 /**
  * Default configuration
@@ -51,16 +287,74 @@ const DEFAULT_CONFIG = {
 	showDownload: true,
 	showPrint: true,
 	showFullscreen: true,
+	showSearch: true,
+	showThumbnails: true,
+	viewMode: 'single',
+	spread: 'none',
+	pageColors: 'default',
+	zoom: 'page-width',
+	rotation: 0,
+	page: 1,
+	deepLinked: false,
+	deepLinkKey: '',
+	enableTextLayer: true,
+	enableForms: true,
+	handTool: false,
+	autoAdvance: 0,
+	resume: 'prompt',
+	openLinksInNewTab: true,
 	workerUrl: '',
+	rangeChunkSize: 65536,
+	disableAutoFetch: false,
+	disableStream: false,
+	disableRange: false,
+	shortcuts: {},
 	i18n: {},
 };
 
+/**
+ * Thumbnail width in CSS pixels
+ * @type {number}
+ */
+const THUMBNAIL_WIDTH = 120;
+
+/**
+ * Protocols allowed for external links in documents
+ * @type {string[]}
+ */
+const LINK_PROTOCOLS = [ 'http:', 'https:', 'mailto:' ];
+
+/**
+ * Print resolution in dots per inch (PDF pages are 72 points per inch)
+ * @type {number}
+ */
+const PRINT_DPI = 150;
+
+/**
+ * Error name for a password prompt the user cancelled
+ * @type {string}
+ */
+const PASSWORD_CANCELLED = 'PasswordCancelledError';
+
 /**
  * PDF.js library reference (loaded dynamically)
  * @type {Object|null}
  */
 let pdfjsLib = null;
 
+/**
+ * Viewer that last had focus or a click; it answers keys pressed while
+ * nothing else on the page has focus
+ * @type {MDPVViewer|null}
+ */
+let lastUsedViewer = null;
+
+/**
+ * Viewers created so far; numbers each one's element IDs
+ * @type {number}
+ */
+let viewerCount = 0;
+
 /**
  * MDPVViewer Class
  *
@@ -80,23 +374,61 @@ export class MDPVViewer {
 		/** @type {Object} */
 		this.config = { ...DEFAULT_CONFIG, ...config };
 
+		/** @type {string} Start of this viewer's element IDs, unique even when a PDF is embedded twice */
+		this.idPrefix = 'mdpv-' + ( ++viewerCount ) + '-';
+
+		/** @type {Map<string, string>} Action by key combination */
+		this.shortcuts = this.getShortcutMap( this.config.shortcuts );
+
 		/** @type {Object|null} PDF.js document instance */
 		this.pdfDoc = null;
 
-		/** @type {number} Current page number (1-indexed) */
-		this.currentPage = 1;
+		/** @type {Object|null} PDF.js loading task, until the document has loaded */
+		this.loadingTask = null;
+
+		/** @type {HTMLFormElement|null} Password prompt for encrypted documents */
+		this.passwordForm = null;
+
+		/** @type {HTMLFormElement|null} Print page selection dialog */
+		this.printDialog = null;
+
+		/** @type {HTMLIFrameElement|null} Frame holding the pages being printed */
+		this.printFrame = null;
+
+		/** @type {string[]|null} Object URLs of the page images in the print frame */
+		this.printUrls = null;
+
+		/** @type {number} Incremented per print job so a superseded job stops rendering */
+		this.printId = 0;
+
+		/** @type {number} Current page number (1-indexed); starts at the configured page */
+		this.currentPage = Math.max( 1, parseInt( this.config.page, 10 ) || 1 );
 
 		/** @type {number} Total page count */
 		this.totalPages = this.config.pageCount || 1;
 
-		/** @type {number} Current zoom level */
-		this.scale = 1;
+		/** @type {string} Zoom mode (a ZOOM_MODES entry, or 'custom' for a fixed scale) */
+		this.zoomMode = ZOOM_MODES.includes( this.config.zoom ) ? this.config.zoom : 'custom';
 
-		/** @type {number} Current zoom level index */
-		this.zoomIndex = Math.max( 0, ZOOM_LEVELS.indexOf( 1 ) );
+		/** @type {number} Current zoom level (1 = actual size); follows the current page in fitted modes */
+		this.scale = this.zoomMode === 'custom' ? this.parseZoom( this.config.zoom ) : 1;
 
-		/** @type {boolean} Is currently rendering */
-		this.isRendering = false;
+		if ( ! this.scale ) {
+			this.zoomMode = DEFAULT_CONFIG.zoom;
+			this.scale = 1;
+		}
+
+		// Configured percentages outside the zoom range open at its nearest end
+		this.scale = this.clampScale( this.scale );
+
+		/** @type {number} Rotation applied on top of each page's own, in degrees (0, 90, 180 or 270) */
+		this.rotation = this.normalizeRotation( this.config.rotation );
+
+		/** @type {Promise<void>|null} Settles once the latest requested page is drawn (single mode) */
+		this.renderPromise = null;
+
+		/** @type {boolean} A page was requested after the current draw started */
+		this.renderPending = false;
 
 		/** @type {Object|null} Current render task */
 		this.renderTask = null;
@@ -107,15 +439,175 @@ export class MDPVViewer {
 		/** @type {CanvasRenderingContext2D|null} */
 		this.ctx = null;
 
+		/** @type {Object|null} Page render state wrapping this.canvas (single mode) */
+		this.pageView = null;
+
+		/** @type {Object|null} Right-hand page of a two-page spread (single mode) */
+		this.spreadView = null;
+
 		/** @type {HTMLElement|null} */
 		this.canvasContainer = null;
 
 		/** @type {HTMLElement|null} */
 		this.toolbar = null;
 
+		/** @type {HTMLInputElement|null} Zoom percentage field */
+		this.zoomLabel = null;
+
+		/** @type {HTMLSelectElement|null} Zoom mode dropdown */
+		this.zoomSelect = null;
+
+		/** @type {Function|null} Debounced re-render for window resizes */
+		this.debouncedResize = null;
+
+		/** @type {string} Page layout mode ('single' or 'continuous') */
+		this.viewMode = VIEW_MODES.includes( this.config.viewMode ) ? this.config.viewMode : VIEW_MODES[ 0 ];
+
+		/** @type {string} Facing page layout ('none', 'cover' or 'odd'); single mode only */
+		this.spreadMode = SPREAD_MODES.includes( this.config.spread ) ? this.config.spread : SPREAD_MODES[ 0 ];
+
+		/** @type {string} Page color filter; the reader's saved choice wins over the embed default */
+		this.pageColors = this.getStoredPageColors() ||
+			( PAGE_COLORS.includes( this.config.pageColors ) ? this.config.pageColors : PAGE_COLORS[ 0 ] );
+
+		/** @type {HTMLSelectElement|null} Page color dropdown */
+		this.colorsSelect = null;
+
+		/** @type {HTMLElement|null} Page placeholder wrapper (continuous mode) */
+		this.pagesContainer = null;
+
+		/** @type {Object[]} Per-page render state (continuous mode) */
+		this.pageViews = [];
+
+		/** @type {string} Available size and zoom the placeholders were sized for */
+		this.layoutKey = '';
+
+		/** @type {Object|null} Zoom anchor for renderContinuous() to restore once the layout is resized */
+		this.zoomSettle = null;
+
+		/** @type {number} Pending scroll update frame */
+		this.scrollFrame = 0;
+
+		/** @type {Array<Object|undefined>} Extracted page text for search, by page index */
+		this.pageTexts = [];
+
+		/** @type {Object[]} Search matches in document order ({ pageNum, start, end }) */
+		this.searchMatches = [];
+
+		/** @type {number} Index of the selected match (-1 when none) */
+		this.searchIndex = -1;
+
+		/** @type {number} Incremented per search so stale results are dropped */
+		this.searchId = 0;
+
+		/** @type {HTMLElement|null} Sidebar panel */
+		this.sidebar = null;
+
+		/** @type {HTMLElement|null} Outline tree root */
+		this.outlineTree = null;
+
+		/** @type {WeakMap<HTMLElement, Object>} Outline entry data by tree item */
+		this.outlineEntries = new WeakMap();
+
+		/** @type {Map<string, Object>} Sidebar panels by name ({ tab, panel }) */
+		this.sidebarPanels = new Map();
+
+		/** @type {HTMLElement[]} Thumbnail buttons, by page index */
+		this.thumbnails = [];
+
+		/** @type {IntersectionObserver|null} Renders thumbnails near view and releases distant ones */
+		this.thumbnailObserver = null;
+
+		/** @type {Set<number>} Page numbers whose thumbnails are in or near view */
+		this.thumbnailsNearView = new Set();
+
+		/** @type {Set<number>} Page numbers whose thumbnails hold a canvas */
+		this.renderedThumbnails = new Set();
+
+		/** @type {number[]} Page numbers waiting for a thumbnail render */
+		this.thumbnailQueue = [];
+
+		/** @type {boolean} The thumbnail queue is being worked through */
+		this.thumbnailRendering = false;
+
+		/** @type {Object|null} Thumbnail render in progress (separate from this.renderTask) */
+		this.thumbnailTask = null;
+
+		/** @type {Map<string, HTMLCanvasElement>} Rendered pages by page, scale and rotation, least recently used first */
+		this.pageCache = new Map();
+
+		/** @type {Map<number, Promise<number[][]>>} Where each page draws images, in PDF units (dark page colors) */
+		this.imageRects = new Map();
+
+		/** @type {number} Memory held by this.pageCache, in bytes */
+		this.pageCacheBytes = 0;
+
+		/** @type {Object|null} Adjacent page render in progress (separate from this.renderTask) */
+		this.prerenderTask = null;
+
+		/** @type {number} Pending idle callback that starts prerendering */
+		this.prerenderHandle = 0;
+
+		/** @type {Promise<Object|null>|null} Form fields by name, fetched once */
+		this.fieldObjects = null;
+
+		/** @type {Function|null} Debounced formchange event for field edits */
+		this.debouncedFormChange = null;
+
+		/** @type {string} When to return to the saved reading position */
+		this.resumeMode = RESUME_MODES.includes( this.config.resume ) ? this.config.resume : RESUME_MODES[ 0 ];
+
+		/** @type {boolean} The reader moved since the position was last saved */
+		this.positionDirty = false;
+
+		/** @type {Function|null} Debounced reading position save */
+		this.debouncedSavePosition = null;
+
+		/** @type {HTMLElement|null} Offer to continue from the saved position */
+		this.resumePrompt = null;
+
+		/** @type {boolean} Dragging with the mouse pans instead of selecting text */
+		this.handTool = Boolean( this.config.handTool );
+
+		/** @type {HTMLButtonElement|null} Hand tool toggle */
+		this.handToolBtn = null;
+
+		/** @type {HTMLElement|null} Live region for screen reader announcements */
+		this.liveRegion = null;
+
+		/** @type {number} Pending announcement timer */
+		this.announceTimer = 0;
+
 		/** @type {boolean} Is in fullscreen mode */
 		this.isFullscreen = false;
 
+		/** @type {Object|null} View settings to restore when the presentation ends, while presenting */
+		this.presentation = null;
+
+		/** @type {HTMLButtonElement|null} Presentation toggle */
+		this.presentationBtn = null;
+
+		/** @type {HTMLButtonElement|null} Pause/resume auto-advance, shown while presenting */
+		this.autoAdvanceBtn = null;
+
+		/** @type {boolean} Auto-advance paused by the reader */
+		this.autoAdvancePaused = false;
+
+		/** @type {number} Pending auto-advance timer */
+		this.autoAdvanceTimer = 0;
+
+		/** @type {number} Timer that hides presentation controls */
+		this.controlsTimer = 0;
+
+		/** @type {boolean} Page overview grid shown (presentation mode) */
+		this.overviewOpen = false;
+
+		/** @type {number} Page last reported in a pagechange event (0 until the document loads) */
+		this.emittedPage = 0;
+
+		/** @type {string} Zoom last reported in a zoomchange event ('' until the document loads) */
+		this.emittedZoom = '';
+
 		/** @type {AbortController|null} For cleanup */
 		this.abortController = new AbortController();
 
@@ -127,6 +619,8 @@ export class MDPVViewer {
 	 * Initialize the viewer
 	 */
 	async init() {
+		this.createLiveRegion();
+
 		try {
 			// Load PDF.js library
 			await this.loadPdfJs();
@@ -137,6 +631,11 @@ export class MDPVViewer {
 			// Load the PDF document
 			await this.loadDocument();
 
+			// Create page placeholders for continuous scrolling
+			if ( this.isContinuous() ) {
+				await this.setupPageViews();
+			}
+
 			// Render first page
 			await this.renderPage( this.currentPage );
 
@@ -150,10 +649,16 @@ export class MDPVViewer {
 			// Set up event listeners
 			this.setupEventListeners();
 
+			// Sidebar: thumbnails now, bookmarks once loaded in the background
+			this.setupThumbnails();
+			this.setupOutline();
+
 			// Focus for keyboard navigation
+			// Keep the document role from the markup; application mode would hide page content from reading
 			this.container.setAttribute( 'tabindex', '0' );
-			this.container.setAttribute( 'role', 'application' );
-			this.container.setAttribute( 'aria-label', this.config.i18n.viewerLabel || 'PDF Viewer - Use arrow keys to navigate pages' );
+			if ( ! this.container.hasAttribute( 'aria-label' ) ) {
+				this.container.setAttribute( 'aria-label', this.config.i18n.viewerLabel || 'PDF Viewer - Use arrow keys to navigate pages' );
+			}
 			
 			// Focus the container
 			this.container.focus({ preventScroll: true });
@@ -165,9 +670,34 @@ export class MDPVViewer {
 					this.container.focus({ preventScroll: true });
 				}
 			}, { signal: this.abortController.signal } );
+
+			// Page and zoom changes are reported from here on
+			this.emittedPage = this.currentPage;
+			this.emittedZoom = this.getZoomKey();
+
+			this.emit( 'documentloaded', {
+				pageCount: this.totalPages,
+				pageNumber: this.currentPage,
+			} );
+
+			this.announce( this.formatMessage( this.config.i18n.documentLoaded || 'Document loaded, %1$d pages', this.totalPages ) );
+
+			// Continue where the reader left off last time
+			this.offerResume();
 		} catch ( error ) {
+			if ( error.name === PASSWORD_CANCELLED ) {
+				this.returnToPreview();
+				return;
+			}
+
+			// Destroyed while loading, e.g. download cancelled
+			if ( ! this.abortController ) {
+				return;
+			}
+
 			console.error( '[MDPV Viewer] Initialization failed:', error );
 			this.showError( error.message || this.config.i18n.error || 'Failed to load document' );
+			this.emit( 'error', { error } );
 		}
 	}
 
@@ -217,9 +747,16 @@ export class MDPVViewer {
 		}
 
 		try {
+			// Range requests fetch the pages needed first; streaming and
+			// auto-fetch download the rest in the background
 			const documentOptions = {
 				url: this.config.pdfUrl,
 				cMapPacked: true,
+				rangeChunkSize: this.config.rangeChunkSize,
+				disableRange: this.config.disableRange,
+				disableAutoFetch: this.config.disableAutoFetch,
+				// PDF.js only stops pre-fetching when streaming is off too
+				disableStream: this.config.disableStream || this.config.disableAutoFetch,
 			};
 
 			// Use local cmaps URL if available, otherwise PDF.js will handle it
@@ -228,13 +765,55 @@ export class MDPVViewer {
 			}
 
 			const loadingTask = pdfjsLib.getDocument( documentOptions );
+			this.loadingTask = loadingTask;
+
+			loadingTask.onProgress = ( { loaded, total } ) => this.updateLoadingProgress( loaded, total );
+
+			// Encrypted documents: ask for the password, again after each wrong one
+			let cancelPassword;
+			const passwordCancelled = new Promise( ( resolve ) => {
+				cancelPassword = resolve;
+			} );
+
+			loadingTask.onPassword = ( updatePassword, reason ) => {
+				const isIncorrect = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+
+				this.promptPassword( isIncorrect ).then( ( password ) => {
+					if ( password === null ) {
+						cancelPassword();
+					} else {
+						updatePassword( password );
+					}
+				} );
+			};
+
+			const pdfDoc = await Promise.race( [
+				loadingTask.promise,
+				passwordCancelled.then( () => null ),
+			] );
+
+			if ( ! pdfDoc ) {
+				loadingTask.destroy();
+				this.loadingTask = null;
 
-			this.pdfDoc = await loadingTask.promise;
+				const error = new Error( 'Password entry cancelled' );
+				error.name = PASSWORD_CANCELLED;
+				throw error;
+			}
+
+			this.pdfDoc = pdfDoc;
+			this.loadingTask = null;
 			this.totalPages = this.pdfDoc.numPages;
+			this.removeLoadingProgress();
 
 			// Update toolbar if already created
 			this.updateToolbarPageInfo();
 		} catch ( error ) {
+			// Cancelled by the reader or destroyed; init() stops without reporting an error
+			if ( error.name === PASSWORD_CANCELLED || ! this.abortController ) {
+				throw error;
+			}
+
 			console.error( '[MDPV Viewer] Failed to load document:', error );
 
 			if ( error.name === 'PasswordException' ) {
@@ -246,79 +825,386 @@ export class MDPVViewer {
 	}
 
 	/**
-	 * Set up viewer UI elements
+	 * Show download progress in the loading indicator
+	 *
+	 * Adds a progress bar and a cancel button on the first update.
+	 * The bar stays indeterminate when the server sends no file size.
+	 *
+	 * @param {number} loaded - Bytes downloaded
+	 * @param {number} total - File size in bytes, 0 if unknown
 	 */
-	setupUI() {
-		// Create canvas container
-		this.canvasContainer = document.createElement( 'div' );
-		this.canvasContainer.className = CLASSES.canvasContainer;
+	updateLoadingProgress( loaded, total ) {
+		// Background fetching continues after the document opens
+		if ( this.pdfDoc ) {
+			return;
+		}
 
-		// Create canvas
-		this.canvas = document.createElement( 'canvas' );
-		this.canvas.className = CLASSES.canvas;
-		this.ctx = this.canvas.getContext( '2d' );
+		const loadingEl = this.container.querySelector( '.' + CLASSES.loading );
+		if ( ! loadingEl ) {
+			return;
+		}
 
-		this.canvasContainer.appendChild( this.canvas );
-		this.container.appendChild( this.canvasContainer );
+		let progress = loadingEl.querySelector( '.' + CLASSES.loadingProgress );
 
-		// Create toolbar if enabled
-		if ( this.config.showToolbar ) {
-			this.createToolbar();
+		if ( ! progress ) {
+			progress = document.createElement( 'progress' );
+			progress.className = CLASSES.loadingProgress;
+			progress.setAttribute( 'aria-label', this.config.i18n.downloadProgress || 'Download progress' );
+
+			const percent = document.createElement( 'span' );
+			percent.className = CLASSES.loadingPercent;
+			percent.setAttribute( 'aria-hidden', 'true' );
+
+			const cancel = document.createElement( 'button' );
+			cancel.type = 'button';
+			cancel.className = CLASSES.loadingCancel;
+			cancel.textContent = this.config.i18n.cancel || 'Cancel';
+			cancel.addEventListener( 'click', () => this.returnToPreview(), {
+				signal: this.abortController.signal,
+			} );
+
+			loadingEl.appendChild( progress );
+			loadingEl.appendChild( percent );
+			loadingEl.appendChild( cancel );
+		}
+
+		if ( total > 0 ) {
+			const ratio = Math.min( loaded / total, 1 );
+			progress.value = ratio;
+			loadingEl.querySelector( '.' + CLASSES.loadingPercent ).textContent = Math.round( ratio * 100 ) + '%';
 		}
 	}
 
 	/**
-	 * Create toolbar element
+	 * Remove the download progress from the loading indicator
 	 */
-	createToolbar() {
-		this.toolbar = document.createElement( 'div' );
-		this.toolbar.className = CLASSES.toolbar;
-		this.toolbar.setAttribute( 'role', 'toolbar' );
-		this.toolbar.setAttribute( 'aria-label', this.config.i18n.toolbar || 'PDF Controls' );
+	removeLoadingProgress() {
+		const loadingEl = this.container.querySelector( '.' + CLASSES.loading );
+		if ( ! loadingEl ) {
+			return;
+		}
 
-		// Left group: Navigation
-		const navGroup = this.createToolbarGroup();
-		
-		// Previous page button
-		navGroup.appendChild( this.createToolbarButton(
-			'prev',
-			this.config.i18n.prevPage || 'Previous page',
-			this.getIcon( 'chevronLeft' ),
-			() => this.prevPage()
-		) );
+		[ CLASSES.loadingProgress, CLASSES.loadingPercent, CLASSES.loadingCancel ].forEach( ( className ) => {
+			loadingEl.querySelector( '.' + className )?.remove();
+		} );
+	}
 
-		// Page info
-		navGroup.appendChild( this.createPageInfo() );
+	/**
+	 * Ask for the document password
+	 *
+	 * The password only goes to PDF.js in this page; the form has no
+	 * action or field name, and the input is cleared once read.
+	 *
+	 * @param {boolean} isIncorrect - The previous password was wrong
+	 * @returns {Promise<string|null>} Password, or null if cancelled
+	 */
+	promptPassword( isIncorrect ) {
+		const form = this.passwordForm || this.createPasswordForm();
+		const input = form.querySelector( '.' + CLASSES.passwordInput );
+		const error = form.querySelector( '.' + CLASSES.passwordError );
 
-		// Next page button
-		navGroup.appendChild( this.createToolbarButton(
-			'next',
-			this.config.i18n.nextPage || 'Next page',
-			this.getIcon( 'chevronRight' ),
-			() => this.nextPage()
-		) );
+		this.hideLoading();
 
-		this.toolbar.appendChild( navGroup );
+		error.hidden = ! isIncorrect;
+		input.setAttribute( 'aria-invalid', String( isIncorrect ) );
+		form.hidden = false;
+		input.focus();
 
-		// Center group: Zoom
-		const zoomGroup = this.createToolbarGroup();
-		zoomGroup.classList.add( CLASSES.toolbarZoom );
+		return new Promise( ( resolve ) => {
+			const controller = new AbortController();
+			const { signal } = controller;
 
-		// Zoom out button
-		zoomGroup.appendChild( this.createToolbarButton(
-			'zoomOut',
-			this.config.i18n.zoomOut || 'Zoom out',
-			this.getIcon( 'minus' ),
-			() => this.zoomOut()
-		) );
+			const finish = ( password ) => {
+				controller.abort();
+				input.value = '';
+				form.hidden = true;
 
-		// Zoom label
-		const zoomLabel = document.createElement( 'span' );
-		zoomLabel.className = CLASSES.toolbarZoomLabel;
-		zoomLabel.id = 'mdpv-zoom-label-' + this.config.pdfId;
-		zoomLabel.textContent = Math.round( this.scale * 100 ) + '%';
-		zoomGroup.appendChild( zoomLabel );
-		this.zoomLabel = zoomLabel;
+				if ( password !== null ) {
+					this.showLoading();
+				}
+
+				resolve( password );
+			};
+
+			form.addEventListener( 'submit', ( e ) => {
+				e.preventDefault();
+
+				if ( input.value ) {
+					finish( input.value );
+				} else {
+					input.focus();
+				}
+			}, { signal } );
+
+			form.querySelector( '.' + CLASSES.dialogCancel ).addEventListener( 'click', () => finish( null ), { signal } );
+
+			form.addEventListener( 'keydown', ( e ) => {
+				if ( e.key === 'Escape' ) {
+					e.preventDefault();
+					e.stopPropagation();
+					finish( null );
+				}
+			}, { signal } );
+		} );
+	}
+
+	/**
+	 * Create the password form, once
+	 *
+	 * @returns {HTMLFormElement} Password form
+	 */
+	createPasswordForm() {
+		const id = this.idPrefix + 'password';
+
+		const form = document.createElement( 'form' );
+		form.className = CLASSES.dialog + ' ' + CLASSES.password;
+		form.noValidate = true;
+		form.hidden = true;
+		form.setAttribute( 'aria-labelledby', id + '-message' );
+
+		const message = document.createElement( 'p' );
+		message.className = CLASSES.passwordMessage;
+		message.id = id + '-message';
+		message.textContent = this.config.i18n.passwordPrompt || 'This document is password protected. Enter the password to open it.';
+
+		const label = document.createElement( 'label' );
+		label.htmlFor = id + '-input';
+		label.textContent = this.config.i18n.password || 'Password';
+
+		const input = document.createElement( 'input' );
+		input.type = 'password';
+		input.className = CLASSES.passwordInput;
+		input.id = id + '-input';
+		input.autocomplete = 'off';
+		input.spellcheck = false;
+		input.setAttribute( 'aria-describedby', id + '-error' );
+
+		// Announced when it appears after a wrong password
+		const error = document.createElement( 'p' );
+		error.className = CLASSES.passwordError;
+		error.id = id + '-error';
+		error.setAttribute( 'role', 'alert' );
+		error.textContent = this.config.i18n.passwordIncorrect || 'Incorrect password. Please try again.';
+		error.hidden = true;
+
+		const actions = document.createElement( 'div' );
+		actions.className = CLASSES.dialogActions;
+
+		const submit = document.createElement( 'button' );
+		submit.type = 'submit';
+		submit.className = CLASSES.dialogSubmit;
+		submit.textContent = this.config.i18n.openDocument || 'Open';
+
+		const cancel = document.createElement( 'button' );
+		cancel.type = 'button';
+		cancel.className = CLASSES.dialogCancel;
+		cancel.textContent = this.config.i18n.cancel || 'Cancel';
+
+		actions.appendChild( submit );
+		actions.appendChild( cancel );
+
+		form.appendChild( message );
+		form.appendChild( label );
+		form.appendChild( input );
+		form.appendChild( error );
+		form.appendChild( actions );
+
+		this.container.appendChild( form );
+		this.passwordForm = form;
+
+		return form;
+	}
+
+	/**
+	 * Close the viewer and bring back the preview and its activate button
+	 */
+	returnToPreview() {
+		this.destroy();
+
+		const activateBtn = this.container.querySelector( '.' + CLASSES.activate );
+		if ( activateBtn ) {
+			activateBtn.hidden = false;
+			activateBtn.focus();
+		}
+	}
+
+	/**
+	 * Set up viewer UI elements
+	 */
+	setupUI() {
+		// Create canvas container
+		this.canvasContainer = document.createElement( 'div' );
+		this.canvasContainer.className = CLASSES.canvasContainer;
+
+		if ( this.isContinuous() ) {
+			// Page placeholders are added once the document is loaded
+			this.pagesContainer = document.createElement( 'div' );
+			this.pagesContainer.className = CLASSES.pages;
+			this.canvasContainer.appendChild( this.pagesContainer );
+			this.container.classList.add( CLASSES.continuous );
+		} else {
+			// Page wrappers hold the canvas and text layer; the second is the right-hand page of a spread
+			const spread = document.createElement( 'div' );
+			spread.className = CLASSES.spread;
+
+			this.pageView = this.createSinglePageView();
+			this.spreadView = this.createSinglePageView();
+			this.spreadView.element.hidden = true;
+
+			this.canvas = this.pageView.canvas;
+			this.ctx = this.canvas.getContext( '2d' );
+
+			spread.appendChild( this.pageView.element );
+			spread.appendChild( this.spreadView.element );
+			this.canvasContainer.appendChild( spread );
+		}
+
+		this.container.appendChild( this.canvasContainer );
+		this.container.classList.add( 'mdpv-colors-' + this.pageColors );
+		this.container.classList.toggle( CLASSES.handTool, this.handTool );
+
+		// Create toolbar if enabled
+		if ( this.config.showToolbar ) {
+			this.createToolbar();
+		}
+	}
+
+	/**
+	 * Create a page wrapper and its render state (single mode)
+	 *
+	 * @returns {Object} Page view state
+	 */
+	createSinglePageView() {
+		const element = document.createElement( 'div' );
+		element.className = CLASSES.page;
+
+		const canvas = document.createElement( 'canvas' );
+		canvas.className = CLASSES.canvas;
+		element.appendChild( canvas );
+
+		return {
+			pageNum: 0,
+			element,
+			canvas,
+			textLayer: null,
+			textLayerDiv: null,
+			textLayerPageNum: 0,
+			highlightedItems: [],
+			viewport: null,
+			annotationLayer: null,
+			annotationLayerDiv: null,
+			annotationLayerPageNum: 0,
+			contentDiv: null,
+			contentPageNum: 0,
+			imageRegionsDiv: null,
+			imageRegionsKey: '',
+		};
+	}
+
+	/**
+	 * Create toolbar element
+	 */
+	createToolbar() {
+		this.toolbar = document.createElement( 'div' );
+		this.toolbar.className = CLASSES.toolbar;
+		this.toolbar.setAttribute( 'role', 'toolbar' );
+		this.toolbar.setAttribute( 'aria-label', this.config.i18n.toolbar || 'PDF Controls' );
+
+		// Left group: Navigation
+		const navGroup = this.createToolbarGroup();
+
+		// Sidebar toggle (shown once the sidebar has a panel to show)
+		const sidebarBtn = this.createToolbarButton(
+			'sidebar',
+			this.config.i18n.toggleSidebar || 'Toggle sidebar',
+			this.getIcon( 'sidebar' ),
+			() => this.toggleSidebar()
+		);
+		sidebarBtn.hidden = true;
+		sidebarBtn.setAttribute( 'aria-expanded', 'false' );
+		sidebarBtn.setAttribute( 'aria-controls', this.idPrefix + 'sidebar' );
+		this.sidebarBtn = sidebarBtn;
+		navGroup.appendChild( sidebarBtn );
+		
+		// Previous page button
+		navGroup.appendChild( this.createToolbarButton(
+			'prev',
+			this.config.i18n.prevPage || 'Previous page',
+			this.getIcon( 'chevronLeft' ),
+			() => this.prevPage()
+		) );
+
+		// Page info
+		navGroup.appendChild( this.createPageInfo() );
+
+		// Next page button
+		navGroup.appendChild( this.createToolbarButton(
+			'next',
+			this.config.i18n.nextPage || 'Next page',
+			this.getIcon( 'chevronRight' ),
+			() => this.nextPage()
+		) );
+
+		this.toolbar.appendChild( navGroup );
+
+		// Center group: Zoom
+		const zoomGroup = this.createToolbarGroup();
+		zoomGroup.classList.add( CLASSES.toolbarZoom );
+
+		// Zoom out button
+		zoomGroup.appendChild( this.createToolbarButton(
+			'zoomOut',
+			this.config.i18n.zoomOut || 'Zoom out',
+			this.getIcon( 'minus' ),
+			() => this.zoomOut()
+		) );
+
+		// Zoom label (also accepts a typed percentage)
+		const zoomLabel = document.createElement( 'input' );
+		zoomLabel.type = 'text';
+		zoomLabel.className = CLASSES.toolbarZoomLabel;
+		zoomLabel.id = this.idPrefix + 'zoom-label';
+		zoomLabel.inputMode = 'decimal';
+		zoomLabel.value = Math.round( this.scale * 100 ) + '%';
+		zoomLabel.setAttribute( 'aria-label', this.config.i18n.zoom || 'Zoom' );
+
+		zoomLabel.addEventListener( 'focus', () => zoomLabel.select(), {
+			signal: this.abortController.signal,
+		} );
+
+		zoomLabel.addEventListener( 'change', () => this.zoomAt( zoomLabel.value ), {
+			signal: this.abortController.signal,
+		} );
+
+		zoomLabel.addEventListener( 'keydown', ( e ) => {
+			if ( e.key === 'Enter' ) {
+				zoomLabel.blur();
+			} else if ( e.key === 'Escape' ) {
+				this.updateZoomLabel();
+				zoomLabel.blur();
+			}
+		}, { signal: this.abortController.signal } );
+
+		zoomGroup.appendChild( zoomLabel );
+		this.zoomLabel = zoomLabel;
+
+		// Zoom mode dropdown
+		zoomGroup.appendChild( this.createZoomSelect() );
+
+		// Rotate buttons
+		zoomGroup.appendChild( this.createToolbarButton(
+			'rotateCcw',
+			this.config.i18n.rotateCcw || 'Rotate counterclockwise',
+			this.getIcon( 'rotateCcw' ),
+			() => this.rotate( -90 )
+		) );
+
+		zoomGroup.appendChild( this.createToolbarButton(
+			'rotateCw',
+			this.config.i18n.rotateCw || 'Rotate clockwise',
+			this.getIcon( 'rotateCw' ),
+			() => this.rotate( 90 )
+		) );
 
 		// Zoom in button
 		zoomGroup.appendChild( this.createToolbarButton(
@@ -333,6 +1219,31 @@ export class MDPVViewer {
 		// Right group: Actions
 		const actionsGroup = this.createToolbarGroup();
 
+		// Hand tool toggle
+		this.handToolBtn = this.createToolbarButton(
+			'handTool',
+			this.config.i18n.handTool || 'Hand tool',
+			this.getIcon( 'move' ),
+			() => this.setHandTool( ! this.handTool )
+		);
+		this.handToolBtn.setAttribute( 'aria-pressed', String( this.handTool ) );
+		actionsGroup.appendChild( this.handToolBtn );
+
+		// Search button and bar
+		if ( this.config.showSearch ) {
+			actionsGroup.appendChild( this.createToolbarButton(
+				'search',
+				this.config.i18n.search || 'Search',
+				this.getIcon( 'search' ),
+				() => this.toggleSearch()
+			) );
+
+			this.toolbar.appendChild( this.createSearchBar() );
+		}
+
+		// Page colors dropdown
+		actionsGroup.appendChild( this.createColorsSelect() );
+
 		// Download button
 		if ( this.config.showDownload ) {
 			actionsGroup.appendChild( this.createToolbarButton(
@@ -365,6 +1276,27 @@ export class MDPVViewer {
 			actionsGroup.appendChild( fsBtn );
 		}
 
+		// Presentation toggle, and the slideshow pause shown while presenting
+		this.presentationBtn = this.createToolbarButton(
+			'presentation',
+			this.config.i18n.presentation || 'Presentation',
+			this.getIcon( 'presentation' ),
+			() => this.togglePresentation()
+		);
+		this.presentationBtn.setAttribute( 'aria-pressed', 'false' );
+		actionsGroup.appendChild( this.presentationBtn );
+
+		if ( this.config.autoAdvance > 0 ) {
+			this.autoAdvanceBtn = this.createToolbarButton(
+				'autoAdvance',
+				this.config.i18n.pauseSlideshow || 'Pause slideshow',
+				this.getIcon( 'pause' ),
+				() => this.toggleAutoAdvance()
+			);
+			this.autoAdvanceBtn.hidden = true;
+			actionsGroup.appendChild( this.autoAdvanceBtn );
+		}
+
 		this.toolbar.appendChild( actionsGroup );
 
 		// Add to container
@@ -375,6 +1307,74 @@ export class MDPVViewer {
 		this.updateZoomLabel();
 	}
 
+	/**
+	 * Create the zoom mode dropdown
+	 *
+	 * @returns {HTMLSelectElement} Zoom select element
+	 */
+	createZoomSelect() {
+		const select = document.createElement( 'select' );
+		select.className = CLASSES.toolbarZoomSelect;
+		select.setAttribute( 'aria-label', this.config.i18n.zoomMode || 'Zoom mode' );
+
+		const options = [
+			[ 'page-fit', this.config.i18n.pageFit || 'Page fit' ],
+			[ 'page-width', this.config.i18n.pageWidth || 'Page width' ],
+			[ 'page-actual', this.config.i18n.actualSize || 'Actual size' ],
+			...ZOOM_LEVELS.map( ( level ) => [ String( level * 100 ), Math.round( level * 100 ) + '%' ] ),
+		];
+
+		options.forEach( ( [ value, label ] ) => {
+			select.appendChild( new Option( label, value ) );
+		} );
+
+		// Shown only while a typed or pinched zoom matches no other entry
+		const custom = new Option( this.config.i18n.customZoom || 'Custom', 'custom' );
+		custom.hidden = true;
+		custom.disabled = true;
+		select.appendChild( custom );
+
+		select.addEventListener( 'change', () => this.zoomAt( select.value ), {
+			signal: this.abortController.signal,
+		} );
+
+		this.zoomSelect = select;
+
+		return select;
+	}
+
+	/**
+	 * Create the page colors dropdown
+	 *
+	 * @returns {HTMLSelectElement} Page colors select element
+	 */
+	createColorsSelect() {
+		const select = document.createElement( 'select' );
+		select.className = CLASSES.toolbarColorsSelect;
+		select.setAttribute( 'aria-label', this.config.i18n.pageColors || 'Page colors' );
+
+		const labels = {
+			default: this.config.i18n.colorsDefault || 'Original colors',
+			dark: this.config.i18n.colorsDark || 'Dark',
+			sepia: this.config.i18n.colorsSepia || 'Sepia',
+			contrast: this.config.i18n.colorsContrast || 'High contrast',
+		};
+
+		PAGE_COLORS.forEach( ( mode ) => {
+			select.appendChild( new Option( labels[ mode ], mode ) );
+		} );
+
+		select.value = this.pageColors;
+
+		select.addEventListener( 'change', () => this.setPageColors( select.value ), {
+			signal: this.abortController.signal,
+		} );
+
+		this.colorsSelect = select;
+
+		return select;
+	}
+
 	/**
 	 * Create toolbar button group
 	 *
@@ -412,6 +1412,83 @@ export class MDPVViewer {
 		return button;
 	}
 
+	/**
+	 * Create search bar element
+	 *
+	 * @returns {HTMLElement} Search bar element
+	 */
+	createSearchBar() {
+		const signal = this.abortController.signal;
+
+		const searchBar = document.createElement( 'div' );
+		searchBar.className = CLASSES.search;
+		searchBar.setAttribute( 'role', 'search' );
+		searchBar.hidden = true;
+
+		const input = document.createElement( 'input' );
+		input.type = 'search';
+		input.className = CLASSES.searchInput;
+		input.placeholder = this.config.i18n.searchPlaceholder || 'Find in document';
+		input.setAttribute( 'aria-label', this.config.i18n.searchPlaceholder || 'Find in document' );
+
+		const debouncedSearch = this.debounce( () => this.search( input.value ), 300 );
+		input.addEventListener( 'input', debouncedSearch, { signal } );
+
+		input.addEventListener( 'keydown', ( e ) => {
+			if ( e.key === 'Enter' ) {
+				e.preventDefault();
+				if ( e.shiftKey ) {
+					this.findPrev();
+				} else {
+					this.findNext();
+				}
+			} else if ( e.key === 'Escape' ) {
+				e.preventDefault();
+				this.closeSearch();
+			} else if ( ( e.ctrlKey || e.metaKey ) && e.code === 'KeyF' ) {
+				// Already open: keep browser find from taking over
+				e.preventDefault();
+				input.select();
+			}
+		}, { signal } );
+
+		const count = document.createElement( 'span' );
+		count.className = CLASSES.searchCount;
+		count.setAttribute( 'aria-live', 'polite' );
+
+		searchBar.appendChild( input );
+		searchBar.appendChild( count );
+
+		searchBar.appendChild( this.createToolbarButton(
+			'findPrev',
+			this.config.i18n.findPrev || 'Previous match',
+			this.getIcon( 'chevronUp' ),
+			() => this.findPrev()
+		) );
+
+		searchBar.appendChild( this.createToolbarButton(
+			'findNext',
+			this.config.i18n.findNext || 'Next match',
+			this.getIcon( 'chevronDown' ),
+			() => this.findNext()
+		) );
+
+		searchBar.appendChild( this.createToolbarButton(
+			'closeSearch',
+			this.config.i18n.closeSearch || 'Close search',
+			this.getIcon( 'close' ),
+			() => this.closeSearch()
+		) );
+
+		this.searchBar = searchBar;
+		this.searchInput = input;
+		this.searchCount = count;
+
+		this.updateSearchControls();
+
+		return searchBar;
+	}
+
 	/**
 	 * Create page info element
 	 *
@@ -443,6 +1520,12 @@ export class MDPVViewer {
 
 		this.pageInput = pageInput;
 
+		// Second page of a spread, e.g. "–5"
+		const rangeSpan = document.createElement( 'span' );
+		rangeSpan.className = CLASSES.toolbarPageRange;
+		rangeSpan.hidden = true;
+		this.pageRangeSpan = rangeSpan;
+
 		// "of X" text
 		const ofText = document.createElement( 'span' );
 		ofText.textContent = ` ${this.config.i18n.of || 'of'} `;
@@ -452,6 +1535,7 @@ export class MDPVViewer {
 		this.totalPagesSpan = totalSpan;
 
 		pageInfo.appendChild( pageInput );
+		pageInfo.appendChild( rangeSpan );
 		pageInfo.appendChild( ofText );
 		pageInfo.appendChild( totalSpan );
 
@@ -461,51 +1545,134 @@ export class MDPVViewer {
 	/**
 	 * Render a specific page
 	 *
+	 * Requests are never dropped: the current page moves at once and the
+	 * latest request wins. A draw in progress is cancelled and the page is
+	 * drawn again with the zoom and rotation current at that time.
+	 *
 	 * @param {number} pageNum - Page number (1-indexed)
+	 * @returns {Promise<void>} Resolves once the latest requested page is drawn
 	 */
-	async renderPage( pageNum ) {
-		if ( ! this.pdfDoc || this.isRendering ) {
-			return;
+	renderPage( pageNum ) {
+		if ( this.isContinuous() ) {
+			return this.renderContinuous( pageNum );
 		}
 
-		// Validate page number
-		pageNum = Math.max( 1, Math.min( pageNum, this.totalPages ) );
-		this.currentPage = pageNum;
+		if ( ! this.pdfDoc ) {
+			return Promise.resolve();
+		}
+
+		// Validate page number; a spread is identified by its first page
+		this.currentPage = this.getSpreadPages( Math.max( 1, Math.min( pageNum, this.totalPages ) ) )[ 0 ];
+		this.updateToolbarPageInfo();
+
+		this.renderPending = true;
+		this.cancelPrerender();
 
-		this.isRendering = true;
+		// Cancel the superseded draw; the loop below picks up the new request
+		if ( this.renderTask ) {
+			this.renderTask.cancel();
+			this.renderTask = null;
+		}
+
+		if ( ! this.renderPromise ) {
+			this.renderPromise = this.runRenderQueue().finally( () => {
+				this.renderPromise = null;
+			} );
+		}
+
+		return this.renderPromise;
+	}
+
+	/**
+	 * Draw pages until no newer request is waiting (single mode)
+	 */
+	async runRenderQueue() {
+		while ( this.renderPending && this.pdfDoc ) {
+			this.renderPending = false;
+			await this.drawPage( this.currentPage );
+		}
+
+		if ( this.pdfDoc ) {
+			this.schedulePrerender();
+		}
+	}
 
+	/**
+	 * Draw a page, or the spread containing it, into the single mode canvases
+	 *
+	 * Cached pages are copied in at once; others render offscreen first so
+	 * the previous page stays visible until the new one is ready. Stops
+	 * early when a newer request arrives, leaving the canvas to it.
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 */
+	async drawPage( pageNum ) {
 		try {
-			// Cancel any existing render
-			if ( this.renderTask ) {
-				this.renderTask.cancel();
-				this.renderTask = null;
+			// Get the pages
+			const pages = await Promise.all(
+				this.getSpreadPages( pageNum ).map( ( num ) => this.pdfDoc.getPage( num ) )
+			);
+
+			if ( this.renderPending || ! this.pdfDoc ) {
+				return;
 			}
 
-			// Get the page
-			const page = await this.pdfDoc.getPage( pageNum );
+			const size = this.getSpreadSize( pages );
+			this.updateFittedScale( size.width, size.height );
 
-			// Calculate scale based on container width
-			const containerWidth = this.canvasContainer.clientWidth;
-			const viewport = page.getViewport( { scale: 1 } );
+			const views = [ this.pageView, this.spreadView ];
+			const drawn = [];
 
-			// Calculate scale to fit width, then apply zoom
-			const baseScale = containerWidth / viewport.width;
-			const scaledViewport = page.getViewport( { scale: baseScale * this.scale } );
+			for ( const [ index, page ] of pages.entries() ) {
+				const params = this.getPageBitmapParams( page, size );
+				let bitmap = this.getCachedPage( params.key );
+				const rendered = ! bitmap;
 
-			// Set canvas dimensions
-			this.canvas.width = scaledViewport.width;
-			this.canvas.height = scaledViewport.height;
+				if ( rendered ) {
+					const { canvas, task } = this.createPageBitmap( page, params );
 
-			// Render the page
-			const renderContext = {
-				canvasContext: this.ctx,
-				viewport: scaledViewport,
-			};
+					this.renderTask = task;
+					await task.promise;
+					this.renderTask = null;
 
-			this.renderTask = page.render( renderContext );
-			await this.renderTask.promise;
+					bitmap = canvas;
+				}
 
-			this.renderTask = null;
+				drawn.push( { view: views[ index ], page, viewport: params.viewport, bitmap, key: params.key, rendered } );
+			}
+
+			// Swap in all pages of a spread together
+			drawn.forEach( ( { view, page, viewport, bitmap } ) => {
+				// Set canvas dimensions: device pixels for the bitmap, CSS pixels for the page
+				view.canvas.width = bitmap.width;
+				view.canvas.height = bitmap.height;
+				view.canvas.getContext( '2d' ).drawImage( bitmap, 0, 0 );
+				view.element.style.width = Math.floor( viewport.width ) + 'px';
+				view.element.style.height = Math.floor( viewport.height ) + 'px';
+				view.pageNum = page.pageNumber;
+			} );
+
+			// Cached only once drawn: making room for one page of a spread can free the other's bitmap
+			drawn.forEach( ( { bitmap, key, rendered } ) => {
+				if ( rendered ) {
+					this.cachePage( key, bitmap );
+				}
+			} );
+
+			if ( drawn.length < 2 ) {
+				this.spreadView.element.hidden = true;
+				this.clearTextLayer( this.spreadView );
+				this.clearAnnotationLayer( this.spreadView );
+				this.clearPageContent( this.spreadView );
+				this.clearImageRegions( this.spreadView );
+				this.spreadView.pageNum = 0;
+			} else {
+				this.spreadView.element.hidden = false;
+			}
+
+			await Promise.all(
+				drawn.map( ( { view, page, viewport } ) => this.renderPageLayers( view, page, viewport ) )
+			);
 
 			// Update toolbar
 			this.updateToolbarPageInfo();
@@ -513,585 +1680,4670 @@ export class MDPVViewer {
 			if ( error.name !== 'RenderingCancelledException' ) {
 				console.error( '[MDPV Viewer] Render failed:', error );
 			}
-		} finally {
-			this.isRendering = false;
 		}
 	}
 
 	/**
-	 * Go to previous page
+	 * Check if single mode shows facing pages
+	 *
+	 * @returns {boolean} True for a cover or odd spread outside continuous mode
 	 */
-	prevPage() {
-		if ( this.currentPage > 1 ) {
-			this.renderPage( this.currentPage - 1 );
-		}
+	isSpread() {
+		return this.spreadMode !== 'none' && ! this.isContinuous();
 	}
 
 	/**
-	 * Go to next page
+	 * Get the pages shown together with a page
+	 *
+	 * In 'cover' mode page 1 stands alone and pages 2-3, 4-5... face each
+	 * other; in 'odd' mode pages 1-2, 3-4... do.
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 * @returns {number[]} One or two page numbers, left first
 	 */
-	nextPage() {
-		if ( this.currentPage < this.totalPages ) {
-			this.renderPage( this.currentPage + 1 );
+	getSpreadPages( pageNum ) {
+		if ( ! this.isSpread() ) {
+			return [ pageNum ];
+		}
+
+		const offset = this.spreadMode === 'cover' ? 0 : 1;
+		if ( offset === 0 && pageNum === 1 ) {
+			return [ 1 ];
 		}
+
+		const first = ( pageNum + offset ) % 2 === 0 ? pageNum : pageNum - 1;
+
+		return first < this.totalPages ? [ first, first + 1 ] : [ first ];
 	}
 
 	/**
-	 * Go to specific page
+	 * Get the unscaled size to fit for a page or spread, in PDF points
 	 *
-	 * @param {number} pageNum - Page number
+	 * A page standing alone in a spread (the cover, or an odd last page)
+	 * is fitted as if it had a facing page, so it matches the spreads'
+	 * scale.
+	 *
+	 * @param {Object[]} pages - PDF.js page proxies shown together
+	 * @returns {{width: number, height: number}} Size of the spread
 	 */
-	goToPage( pageNum ) {
-		const num = parseInt( pageNum, 10 );
-		if ( ! isNaN( num ) && num >= 1 && num <= this.totalPages ) {
-			this.renderPage( num );
+	getSpreadSize( pages ) {
+		const sizes = pages.map( ( page ) => page.getViewport( { scale: 1, rotation: this.getPageRotation( page ) } ) );
+
+		if ( ! this.isSpread() ) {
+			return { width: sizes[ 0 ].width, height: sizes[ 0 ].height };
 		}
+
+		return {
+			width: sizes.length > 1 ? sizes[ 0 ].width + sizes[ 1 ].width : sizes[ 0 ].width * 2,
+			height: Math.max( ...sizes.map( ( size ) => size.height ) ),
+		};
 	}
 
 	/**
-	 * Zoom in
+	 * Switch the facing page layout
+	 *
+	 * @param {string} mode - 'none', 'cover' (cover page alone) or 'odd' (odd pages left)
+	 * @returns {Promise<void>} Resolves once the new layout is rendered
 	 */
-	zoomIn() {
-		if ( this.zoomIndex < ZOOM_LEVELS.length - 1 ) {
-			this.zoomIndex++;
-			this.scale = ZOOM_LEVELS[ this.zoomIndex ];
-			this.renderPage( this.currentPage );
-			this.updateZoomLabel();
+	setSpreadMode( mode ) {
+		if ( ! SPREAD_MODES.includes( mode ) || mode === this.spreadMode ) {
+			return Promise.resolve();
 		}
-	}
 
-	/**
-	 * Zoom out
-	 */
-	zoomOut() {
-		if ( this.zoomIndex > 0 ) {
-			this.zoomIndex--;
-			this.scale = ZOOM_LEVELS[ this.zoomIndex ];
-			this.renderPage( this.currentPage );
-			this.updateZoomLabel();
-		}
+		this.spreadMode = mode;
+		const rendered = this.renderPage( this.currentPage );
+
+		this.emit( 'spreadchange', { spread: this.spreadMode } );
+
+		return rendered;
 	}
 
 	/**
-	 * Set specific zoom level
+	 * Get the viewport, output scale and cache key for drawing a page
 	 *
-	 * @param {number} scale - Zoom scale (0.5 to 3)
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} size - Unscaled size to fit, from getSpreadSize()
+	 * @returns {{viewport: Object, outputScale: number, key: string}} Render parameters
 	 */
-	setZoom( scale ) {
-		this.scale = Math.max( 0.5, Math.min( 3, scale ) );
-		// Find closest zoom level index
-		const foundIndex = ZOOM_LEVELS.findIndex( z => z >= this.scale );
-		this.zoomIndex = foundIndex >= 0 ? foundIndex : ZOOM_LEVELS.length - 1;
-		this.renderPage( this.currentPage );
-		this.updateZoomLabel();
+	getPageBitmapParams( page, size ) {
+		const rotation = this.getPageRotation( page );
+		const viewport = page.getViewport( {
+			scale: this.getPageScale( size.width, size.height ),
+			rotation,
+		} );
+		const outputScale = this.getOutputScale( viewport );
+
+		return {
+			viewport,
+			outputScale,
+			key: [ page.pageNumber, viewport.scale, rotation, outputScale ].join( ':' ),
+		};
 	}
 
 	/**
-	 * Download the PDF
+	 * Start rendering a page into a new offscreen canvas
+	 *
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} params - Render parameters from getPageBitmapParams()
+	 * @returns {{canvas: HTMLCanvasElement, task: Object}} Canvas and its PDF.js render task
 	 */
-	download() {
-		const link = document.createElement( 'a' );
-		link.href = this.config.pdfUrl;
-		link.download = this.getFilename();
-		link.click();
+	createPageBitmap( page, { viewport, outputScale } ) {
+		const canvas = document.createElement( 'canvas' );
+		canvas.width = Math.floor( viewport.width * outputScale );
+		canvas.height = Math.floor( viewport.height * outputScale );
+
+		const task = page.render( {
+			canvasContext: canvas.getContext( '2d' ),
+			viewport,
+			transform: this.getOutputTransform( outputScale ),
+			annotationMode: this.getAnnotationMode(),
+		} );
+
+		return { canvas, task };
 	}
 
 	/**
-	 * Print the PDF
+	 * Get a cached page bitmap and mark it as recently used
+	 *
+	 * @param {string} key - Cache key from getPageBitmapParams()
+	 * @returns {HTMLCanvasElement|null} Rendered page, or null if not cached
 	 */
-	print() {
-		// Open PDF in new window for printing
-		const printWindow = window.open( this.config.pdfUrl, '_blank' );
-		if ( printWindow ) {
-			printWindow.addEventListener( 'load', () => {
-				printWindow.print();
-			} );
+	getCachedPage( key ) {
+		const bitmap = this.pageCache.get( key );
+		if ( ! bitmap ) {
+			return null;
 		}
+
+		this.pageCache.delete( key );
+		this.pageCache.set( key, bitmap );
+
+		return bitmap;
 	}
 
 	/**
-	 * Get SVG icon by name
+	 * Add a page bitmap to the cache, evicting the least recently used over budget
 	 *
-	 * @param {string} name - Icon name
-	 * @returns {string} SVG HTML
+	 * @param {string} key - Cache key from getPageBitmapParams()
+	 * @param {HTMLCanvasElement} bitmap - Rendered page
 	 */
-	getIcon( name ) {
-		const icons = {
-			chevronLeft: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="15 18 9 12 15 6"></polyline></svg>`,
+	cachePage( key, bitmap ) {
+		const bytes = bitmap.width * bitmap.height * 4;
+		if ( bytes > PAGE_CACHE_MAX_BYTES || this.pageCache.has( key ) ) {
+			return;
+		}
 
-			chevronRight: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="9 18 15 12 9 6"></polyline></svg>`,
+		this.pageCache.set( key, bitmap );
+		this.pageCacheBytes += bytes;
 
-			minus: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+		for ( const [ oldKey, oldBitmap ] of this.pageCache ) {
+			if ( this.pageCacheBytes <= PAGE_CACHE_MAX_BYTES ) {
+				break;
+			}
 
-			plus: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+			this.pageCache.delete( oldKey );
+			this.pageCacheBytes -= oldBitmap.width * oldBitmap.height * 4;
 
-			download: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`,
+			// Zero-size canvases free their memory right away on iOS Safari
+			oldBitmap.width = 0;
+			oldBitmap.height = 0;
+		}
+	}
 
-			print: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="6 9 6 2 18 2 18 9"></polyline><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path><rect x="6" y="14" width="12" height="8"></rect></svg>`,
+	/**
+	 * Empty the page cache
+	 */
+	clearPageCache() {
+		this.pageCache.forEach( ( bitmap ) => {
+			bitmap.width = 0;
+			bitmap.height = 0;
+		} );
 
-			fullscreen: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>`,
+		this.pageCache.clear();
+		this.pageCacheBytes = 0;
+	}
 
-			exitFullscreen: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="4 14 10 14 10 20"></polyline><polyline points="20 10 14 10 14 4"></polyline><line x1="14" y1="10" x2="21" y2="3"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>`,
+	/**
+	 * Prerender the next and previous pages once the browser is idle (single mode)
+	 */
+	schedulePrerender() {
+		this.cancelPrerender();
 
+		const run = () => {
+			this.prerenderHandle = 0;
+			this.prerenderAdjacentPages();
 		};
 
-		return icons[ name ] || '';
+		this.prerenderHandle = window.requestIdleCallback
+			? window.requestIdleCallback( run, { timeout: 1000 } )
+			: setTimeout( run, 200 );
 	}
 
 	/**
-	 * Toggle fullscreen mode
+	 * Stop a scheduled or running prerender
 	 */
-	toggleFullscreen() {
-		if ( this.isFullscreen ) {
-			this.exitFullscreen();
-		} else {
-			this.enterFullscreen();
+	cancelPrerender() {
+		if ( this.prerenderHandle ) {
+			if ( window.cancelIdleCallback ) {
+				window.cancelIdleCallback( this.prerenderHandle );
+			} else {
+				clearTimeout( this.prerenderHandle );
+			}
+
+			this.prerenderHandle = 0;
+		}
+
+		if ( this.prerenderTask ) {
+			this.prerenderTask.cancel();
+			this.prerenderTask = null;
 		}
 	}
 
 	/**
-	 * Enter fullscreen mode
+	 * Render the pages or spreads either side of the current one into the cache
+	 *
+	 * Gives way as soon as the reader turns the page, zooms or rotates.
 	 */
-	enterFullscreen() {
-		// Check if already in fullscreen
-		if ( this.isFullscreen ) {
-			return;
-		}
+	async prerenderAdjacentPages() {
+		const pageNum = this.currentPage;
+		const spread = this.getSpreadPages( pageNum );
+		const isCurrent = () => this.pdfDoc && ! this.renderPromise && this.currentPage === pageNum;
+
+		for ( const adjacent of [ spread[ spread.length - 1 ] + 1, spread[ 0 ] - 1 ] ) {
+			if ( adjacent < 1 || adjacent > this.totalPages ) {
+				continue;
+			}
 
-		// Check if fullscreen is available
-		if ( ! document.fullscreenEnabled && 
-			 ! document.webkitFullscreenEnabled && 
-			 ! document.msFullscreenEnabled ) {
-			return;
-		}
+			try {
+				const pages = await Promise.all(
+					this.getSpreadPages( adjacent ).map( ( num ) => this.pdfDoc.getPage( num ) )
+				);
 
-		let promise = null;
+				if ( ! isCurrent() ) {
+					return;
+				}
 
-		try {
-			if ( this.container.requestFullscreen ) {
-				promise = this.container.requestFullscreen();
-			} else if ( this.container.webkitRequestFullscreen ) {
-				promise = this.container.webkitRequestFullscreen();
-			} else if ( this.container.msRequestFullscreen ) {
-				promise = this.container.msRequestFullscreen();
-			}
+				const size = this.getSpreadSize( pages );
 
-			// Handle promise rejection silently (browser may reject if not user-initiated)
-			if ( promise && typeof promise.catch === 'function' ) {
-				promise.catch( ( error ) => {
-					// Silently handle rejection - fullscreen may not be available
-					// or may require a direct user interaction in some contexts
-					// Don't log to console to avoid cluttering
-				} );
+				for ( const page of pages ) {
+					const params = this.getPageBitmapParams( page, size );
+					if ( this.pageCache.has( params.key ) ) {
+						continue;
+					}
+
+					const { canvas, task } = this.createPageBitmap( page, params );
+
+					this.prerenderTask = task;
+					await task.promise;
+					this.prerenderTask = null;
+
+					this.cachePage( params.key, canvas );
+				}
+			} catch ( error ) {
+				if ( error.name !== 'RenderingCancelledException' ) {
+					console.error( '[MDPV Viewer] Prerender failed:', error );
+				}
+
+				return;
 			}
-		} catch ( error ) {
-			// Silently handle synchronous errors (e.g., "API can only be initiated by a user gesture")
-			// The fullscreenchange event will still fire if fullscreen succeeds via other means
-			// Suppress console output by not re-throwing or logging
 		}
 	}
 
 	/**
-	 * Exit fullscreen mode
+	 * Get canvas pixels per CSS pixel for a page
+	 *
+	 * Follows the device pixel ratio so text stays sharp on HiDPI screens,
+	 * lowered for pages whose canvas would exceed MAX_CANVAS_PIXELS.
+	 *
+	 * @param {Object} viewport - Page viewport in CSS pixels
+	 * @returns {number} Output scale
 	 */
-	exitFullscreen() {
-		// Check if not in fullscreen
-		if ( ! this.isFullscreen ) {
+	getOutputScale( viewport ) {
+		const pixelRatio = window.devicePixelRatio || 1;
+		const maxScale = Math.sqrt( MAX_CANVAS_PIXELS / ( viewport.width * viewport.height ) );
+
+		return Math.min( pixelRatio, maxScale );
+	}
+
+	/**
+	 * Get the render transform for an output scale
+	 *
+	 * @param {number} outputScale - Canvas pixels per CSS pixel
+	 * @returns {Array|null} Transform matrix, or null when no scaling is needed
+	 */
+	getOutputTransform( outputScale ) {
+		return outputScale !== 1 ? [ outputScale, 0, 0, outputScale, 0, 0 ] : null;
+	}
+
+	/**
+	 * Re-render when the device pixel ratio changes
+	 *
+	 * Happens when the window moves to a monitor with a different density
+	 * or the browser zoom changes. A resolution media query only matches
+	 * one ratio, so a new query is registered after every change.
+	 */
+	watchPixelRatio() {
+		if ( ! window.matchMedia ) {
 			return;
 		}
 
-		let promise = null;
+		const query = window.matchMedia( '(resolution: ' + window.devicePixelRatio + 'dppx)' );
 
-		try {
-			if ( document.exitFullscreen ) {
-				promise = document.exitFullscreen();
-			} else if ( document.webkitExitFullscreen ) {
-				promise = document.webkitExitFullscreen();
-			} else if ( document.msExitFullscreen ) {
-				promise = document.msExitFullscreen();
-			}
+		query.addEventListener(
+			'change',
+			() => {
+				this.watchPixelRatio();
+				this.renderPage( this.currentPage );
+			},
+			{ once: true, signal: this.abortController.signal }
+		);
+	}
 
-			// Handle promise rejection silently
-			if ( promise && typeof promise.catch === 'function' ) {
-				promise.catch( () => {
-					// Silently handle rejection
-				} );
-			}
-		} catch ( error ) {
-			// Silently handle synchronous errors
+	/**
+	 * Check if the viewer is in continuous scroll mode
+	 *
+	 * @returns {boolean} True if pages are laid out vertically
+	 */
+	isContinuous() {
+		return this.viewMode === 'continuous';
+	}
+
+	/**
+	 * Create a sized placeholder for every page (continuous mode)
+	 *
+	 * All placeholders start with the first page's size; each one is
+	 * corrected when its page is fetched for rendering.
+	 */
+	async setupPageViews() {
+		const firstPage = await this.pdfDoc.getPage( 1 );
+		const { width, height } = firstPage.getViewport( { scale: 1, rotation: this.getPageRotation( firstPage ) } );
+		const fragment = document.createDocumentFragment();
+
+		this.pageViews = [];
+
+		for ( let pageNum = 1; pageNum <= this.totalPages; pageNum++ ) {
+			const element = document.createElement( 'div' );
+			element.className = CLASSES.page;
+			element.dataset.pageNumber = String( pageNum );
+			fragment.appendChild( element );
+
+			this.pageViews.push( {
+				pageNum,
+				element,
+				width,
+				height,
+				page: null,
+				canvas: null,
+				renderTask: null,
+				renderedScale: 0,
+				renderedPixelRatio: 0,
+				renderingScale: 0,
+				textLayer: null,
+				textLayerDiv: null,
+				textLayerPageNum: 0,
+				highlightedItems: [],
+				viewport: null,
+				annotationLayer: null,
+				annotationLayerDiv: null,
+				annotationLayerPageNum: 0,
+				contentDiv: null,
+				contentPageNum: 0,
+				imageRegionsDiv: null,
+				imageRegionsKey: '',
+			} );
 		}
+
+		this.pagesContainer.appendChild( fragment );
 	}
 
 	/**
-	 * Handle fullscreen change
+	 * Get the render scale for a page in the current zoom mode
+	 *
+	 * @param {number} pageWidth - Unscaled page width in PDF points
+	 * @param {number} pageHeight - Unscaled page height in PDF points
+	 * @returns {number} Render scale (CSS pixels per PDF point)
 	 */
-	handleFullscreenChange() {
-		this.isFullscreen = !! (
-			document.fullscreenElement ||
-			document.webkitFullscreenElement ||
-			document.msFullscreenElement
-		);
+	getPageScale( pageWidth, pageHeight ) {
+		const { width, height } = this.getAvailableSize();
 
-		this.container.classList.toggle( CLASSES.fullscreen, this.isFullscreen );
+		switch ( this.zoomMode ) {
+			case 'page-fit':
+				return Math.min( width / pageWidth, height / pageHeight );
 
-		// Update fullscreen button icon
-		this.updateFullscreenButton();
+			case 'page-width':
+				return width / pageWidth;
 
-		// Re-render at new size
-		setTimeout( () => {
-			this.renderPage( this.currentPage );
-		}, 100 );
+			case 'page-actual':
+				return PDF_TO_CSS_UNITS;
+
+			default:
+				return this.scale * PDF_TO_CSS_UNITS;
+		}
 	}
 
 	/**
-	 * Update fullscreen button icon
+	 * Get the area pages can fill without scrolling
+	 *
+	 * @returns {{width: number, height: number}} Size in CSS pixels
 	 */
-	updateFullscreenButton() {
-		if ( ! this.fullscreenBtn ) return;
-
-		const icon = this.isFullscreen 
-			? this.getIcon( 'exitFullscreen' )
-			: this.getIcon( 'fullscreen' );
-		
-		const label = this.isFullscreen
-			? ( this.config.i18n.exitFullscreen || 'Exit fullscreen' )
-			: ( this.config.i18n.fullscreen || 'Fullscreen' );
+	getAvailableSize() {
+		// The toolbar overlays the bottom of the pages; while presenting it hides instead
+		const toolbarHeight = this.toolbar && ! this.presentation ? this.toolbar.offsetHeight : 0;
 
-		this.fullscreenBtn.innerHTML = icon;
-		this.fullscreenBtn.setAttribute( 'aria-label', label );
-		this.fullscreenBtn.setAttribute( 'title', label );
+		return {
+			width: this.canvasContainer.clientWidth,
+			height: Math.max( 1, this.canvasContainer.clientHeight - toolbarHeight ),
+		};
 	}
 
 	/**
-	 * Set up event listeners
+	 * Keep the zoom level in step with a fitted zoom mode for the current page
+	 *
+	 * @param {number} pageWidth - Unscaled page width in PDF points
+	 * @param {number} pageHeight - Unscaled page height in PDF points
 	 */
-	setupEventListeners() {
-		const signal = this.abortController.signal;
+	updateFittedScale( pageWidth, pageHeight ) {
+		if ( this.zoomMode !== 'custom' ) {
+			this.scale = this.getPageScale( pageWidth, pageHeight ) / PDF_TO_CSS_UNITS;
+		}
 
-		// Keyboard navigation - use capture phase to intercept before browser
-		this.container.addEventListener( 
-			'keydown', 
-			( e ) => this.handleKeydown( e ), 
-			{ signal, capture: true } 
-		);
+		this.updateZoomLabel();
+	}
 
-		// Also listen on document for when viewer is "active" but not focused
-		document.addEventListener(
-			'keydown',
-			( e ) => {
-				// Only handle if this viewer is active and visible
-				if ( this.container.classList.contains( CLASSES.active ) && this.isViewerVisible() ) {
-					this.handleKeydown( e );
-				}
-			},
-			{ signal }
-		);
+	/**
+	 * Size every page placeholder for the current container width and zoom
+	 */
+	layoutPageViews() {
+		this.pageViews.forEach( ( view ) => this.sizePageView( view ) );
+	}
 
-		// Fullscreen change events
-		document.addEventListener( 'fullscreenchange', () => this.handleFullscreenChange(), { signal } );
-		document.addEventListener( 'webkitfullscreenchange', () => this.handleFullscreenChange(), { signal } );
-		document.addEventListener( 'msfullscreenchange', () => this.handleFullscreenChange(), { signal } );
+	/**
+	 * Size a single page placeholder
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	sizePageView( view ) {
+		const scale = this.getPageScale( view.width, view.height );
+		view.element.style.width = Math.floor( view.width * scale ) + 'px';
+		view.element.style.height = Math.floor( view.height * scale ) + 'px';
+	}
 
-		// Window resize - re-render at new size
-		window.addEventListener( 'resize', () => this.handleResize(), { signal } );
+	/**
+	 * Lay out, scroll to and render pages around the requested page (continuous mode)
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 */
+	async renderContinuous( pageNum ) {
+		if ( ! this.pdfDoc || ! this.pageViews.length ) {
+			return;
+		}
 
-		// Mouse wheel zoom
-		this.container.addEventListener( 'wheel', ( e ) => this.handleWheel( e ), { signal, passive: false } );
+		this.layoutContinuous( pageNum );
 
-		// Touch events for mobile
-		this.setupTouchEvents();
+		// A zoom settles as soon as the pages have their new size, not once they are drawn
+		if ( this.zoomSettle ) {
+			this.settleZoom( this.zoomSettle );
+			this.zoomSettle = null;
+		}
+
+		await this.updateVisiblePages();
 	}
 
 	/**
-	 * Handle keyboard events
+	 * Size the page placeholders and scroll to the requested page (continuous mode)
 	 *
-	 * @param {KeyboardEvent} e - Keyboard event
+	 * @param {number} pageNum - Page number (1-indexed)
 	 */
-	handleKeydown( e ) {
-		// Don't handle if focus is in input field
-		if ( e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' ) {
-			return;
-		}
+	layoutContinuous( pageNum ) {
+		pageNum = Math.max( 1, Math.min( pageNum, this.totalPages ) );
 
-		const key = e.key;
-		const code = e.code;
-		const ctrlOrCmd = e.ctrlKey || e.metaKey;
+		// Resize placeholders when the available size or zoom changed
+		const { width, height } = this.getAvailableSize();
+		const layoutKey = [
+			width,
+			this.zoomMode === 'page-fit' ? height : 0,
+			this.zoomMode === 'custom' ? this.scale : this.zoomMode,
+		].join( ':' );
+		const layoutChanged = layoutKey !== this.layoutKey;
+
+		if ( pageNum !== this.currentPage ) {
+			this.currentPage = pageNum;
+
+			if ( layoutChanged ) {
+				this.layoutKey = layoutKey;
+				this.layoutPageViews();
+			}
 
-		// Handle Ctrl/Cmd combinations first (must preventDefault immediately)
-		if ( ctrlOrCmd ) {
-			switch ( code ) {
-				case 'Equal':      // Plus key (=/+)
-				case 'NumpadAdd':  // Numpad +
-					e.preventDefault();
-					e.stopPropagation();
-					this.zoomIn();
-					return;
+			this.canvasContainer.scrollTop = this.pageViews[ pageNum - 1 ].element.offsetTop;
+		} else if ( layoutChanged ) {
+			// Same page, new size: keep the same spot of it at the top
+			const { top } = this.getPageScrollOffset();
+			const element = this.pageViews[ pageNum - 1 ].element;
 
-				case 'Minus':       // Minus key (-/_)
-				case 'NumpadSubtract': // Numpad -
-					e.preventDefault();
-					e.stopPropagation();
-					this.zoomOut();
-					return;
+			this.layoutKey = layoutKey;
+			this.layoutPageViews();
 
-				case 'Digit0':     // Zero key
-				case 'Numpad0':    // Numpad 0
-					e.preventDefault();
-					e.stopPropagation();
-					this.setZoom( 1 ); // Reset to 100%
-					return;
+			this.canvasContainer.scrollTop = element.offsetTop + top * element.offsetHeight;
+		}
 
-				case 'KeyS':       // S key
-					e.preventDefault();
-					e.stopPropagation();
-					this.download();
+		const view = this.pageViews[ pageNum - 1 ];
+		this.updateFittedScale( view.width, view.height );
+		this.updateToolbarPageInfo();
+	}
+
+	/**
+	 * Schedule a visible page update on the next animation frame
+	 */
+	handleScroll() {
+		if ( this.scrollFrame ) {
+			return;
+		}
+
+		this.scrollFrame = requestAnimationFrame( () => {
+			this.scrollFrame = 0;
+			this.updateVisiblePages();
+		} );
+	}
+
+	/**
+	 * Render pages near the visible area and release distant ones (continuous mode)
+	 *
+	 * Also moves the current page to the page occupying most of the viewport.
+	 */
+	async updateVisiblePages() {
+		if ( ! this.canvasContainer || ! this.pageViews.length ) {
+			return;
+		}
+
+		const { scrollTop, scrollHeight, clientHeight } = this.canvasContainer;
+		const viewBottom = scrollTop + clientHeight;
+
+		let firstVisible = 0;
+		let lastVisible = 0;
+		let mostVisible = this.currentPage;
+		let mostVisibleHeight = 0;
+
+		for ( const view of this.pageViews ) {
+			const top = view.element.offsetTop;
+			const bottom = top + view.element.offsetHeight;
+
+			if ( bottom <= scrollTop ) {
+				continue;
+			}
+
+			if ( top >= viewBottom ) {
+				break;
+			}
+
+			firstVisible = firstVisible || view.pageNum;
+			lastVisible = view.pageNum;
+
+			const visibleHeight = Math.min( bottom, viewBottom ) - Math.max( top, scrollTop );
+			if ( visibleHeight > mostVisibleHeight ) {
+				mostVisibleHeight = visibleHeight;
+				mostVisible = view.pageNum;
+			}
+		}
+
+		if ( ! firstVisible ) {
+			return;
+		}
+
+		// Scrolled to the end: the last page is current even if a taller page shows more
+		if ( scrollTop > 0 && scrollTop + clientHeight >= scrollHeight - 1 ) {
+			mostVisible = lastVisible;
+		}
+
+		if ( mostVisible !== this.currentPage ) {
+			this.currentPage = mostVisible;
+
+			const view = this.pageViews[ mostVisible - 1 ];
+			this.updateFittedScale( view.width, view.height );
+			this.updateToolbarPageInfo();
+		}
+
+		const renderFrom = Math.max( 1, firstVisible - CONTINUOUS_RENDER_BUFFER );
+		const renderTo = Math.min( this.totalPages, lastVisible + CONTINUOUS_RENDER_BUFFER );
+		const renders = [];
+
+		for ( const view of this.pageViews ) {
+			if ( view.pageNum >= renderFrom && view.pageNum <= renderTo ) {
+				renders.push( this.renderPageView( view ) );
+			} else if ( view.pageNum < firstVisible - CONTINUOUS_RELEASE_DISTANCE ||
+				view.pageNum > lastVisible + CONTINUOUS_RELEASE_DISTANCE ) {
+				this.releasePageView( view );
+			}
+		}
+
+		await Promise.all( renders );
+	}
+
+	/**
+	 * Render one page into its placeholder (continuous mode)
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	async renderPageView( view ) {
+		const scale = this.getPageScale( view.width, view.height );
+		const pixelRatio = window.devicePixelRatio || 1;
+
+		// Already rendered, or being rendered, at this scale
+		if ( ( view.renderedScale === scale && view.renderedPixelRatio === pixelRatio ) || view.renderingScale === scale ) {
+			return;
+		}
+
+		if ( view.renderTask ) {
+			view.renderTask.cancel();
+			view.renderTask = null;
+		}
+
+		view.renderingScale = scale;
+
+		try {
+			const page = view.page || await this.pdfDoc.getPage( view.pageNum );
+			view.page = page;
+
+			// Superseded by a newer render or released while fetching
+			if ( view.renderingScale !== scale ) {
+				return;
+			}
+
+			// Correct the placeholder if this page differs from the first page
+			const rotation = this.getPageRotation( page );
+			const unscaled = page.getViewport( { scale: 1, rotation } );
+			if ( unscaled.width !== view.width || unscaled.height !== view.height ) {
+				view.width = unscaled.width;
+				view.height = unscaled.height;
+				this.sizePageView( view );
+			}
+
+			const viewport = page.getViewport( { scale: this.getPageScale( view.width, view.height ), rotation } );
+
+			if ( ! view.canvas ) {
+				view.canvas = document.createElement( 'canvas' );
+				view.canvas.className = CLASSES.canvas;
+				view.element.appendChild( view.canvas );
+			}
+
+			const outputScale = this.getOutputScale( viewport );
+			view.canvas.width = Math.floor( viewport.width * outputScale );
+			view.canvas.height = Math.floor( viewport.height * outputScale );
+
+			view.renderTask = page.render( {
+				canvasContext: view.canvas.getContext( '2d' ),
+				viewport,
+				transform: this.getOutputTransform( outputScale ),
+				annotationMode: this.getAnnotationMode(),
+			} );
+			await view.renderTask.promise;
+
+			view.renderTask = null;
+			view.renderedScale = this.getPageScale( view.width, view.height );
+			view.renderedPixelRatio = pixelRatio;
+
+			await this.renderPageLayers( view, page, viewport );
+		} catch ( error ) {
+			if ( error.name !== 'RenderingCancelledException' ) {
+				console.error( '[MDPV Viewer] Render failed:', error );
+			}
+		} finally {
+			if ( view.renderingScale === scale ) {
+				view.renderingScale = 0;
+			}
+		}
+	}
+
+	/**
+	 * Free a page's canvas while keeping its placeholder (continuous mode)
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	releasePageView( view ) {
+		if ( view.renderTask ) {
+			view.renderTask.cancel();
+			view.renderTask = null;
+		}
+
+		this.clearTextLayer( view );
+		this.clearAnnotationLayer( view );
+		this.clearPageContent( view );
+		this.clearImageRegions( view );
+
+		if ( view.canvas ) {
+			// Zero-size first so browsers free the backing store immediately
+			view.canvas.width = 0;
+			view.canvas.height = 0;
+			view.canvas.remove();
+			view.canvas = null;
+		}
+
+		if ( view.page ) {
+			view.page.cleanup();
+			view.page = null;
+		}
+
+		view.renderedScale = 0;
+		view.renderedPixelRatio = 0;
+		view.renderingScale = 0;
+	}
+
+	/**
+	 * Render the layers stacked over a page's canvas
+	 *
+	 * @param {Object} view - Page view state
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} viewport - Viewport the canvas was rendered with
+	 */
+	async renderPageLayers( view, page, viewport ) {
+		view.viewport = viewport;
+		view.element.style.setProperty( '--scale-factor', String( viewport.scale ) );
+
+		await Promise.all( [
+			this.renderTextLayer( view, page, viewport ),
+			this.renderAnnotationLayer( view, page, viewport ),
+			this.renderPageContent( view, page ),
+			this.renderImageRegions( view, page, viewport ),
+		] );
+	}
+
+	/**
+	 * Add or remove a page's image regions to match the page colors
+	 *
+	 * @param {Object} view - Page view state
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} viewport - Viewport the canvas was rendered with
+	 */
+	async renderImageRegions( view, page, viewport ) {
+		if ( this.pageColors !== 'dark' ) {
+			this.clearImageRegions( view );
+			return;
+		}
+
+		// Regions are placed in percent, so only a new page or rotation moves them
+		const key = page.pageNumber + '-' + viewport.rotation;
+
+		if ( view.imageRegionsDiv && view.imageRegionsKey === key ) {
+			return;
+		}
+
+		this.clearImageRegions( view );
+
+		const regions = document.createElement( 'div' );
+		regions.className = CLASSES.imageRegions;
+		view.canvas.after( regions );
+
+		view.imageRegionsDiv = regions;
+		view.imageRegionsKey = key;
+
+		await this.addImageRegions( regions, page, viewport );
+	}
+
+	/**
+	 * Remove a page's image regions
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	clearImageRegions( view ) {
+		if ( view.imageRegionsDiv ) {
+			view.imageRegionsDiv.remove();
+			view.imageRegionsDiv = null;
+		}
+
+		view.imageRegionsKey = '';
+	}
+
+	/**
+	 * Mark where a page draws images, so dark page colors leave photos alone
+	 *
+	 * The dark filter inverts the whole canvas, and PDF.js's own pageColors
+	 * option recolors images too. Each region applies the dark filter once
+	 * more to what is behind it, which turns images back to their own
+	 * colors, slightly dimmed. Images covering nearly the whole page are
+	 * scanned text and stay dark.
+	 *
+	 * @param {HTMLElement} regions - Element to add the regions to, over the page's canvas
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} viewport - Viewport the canvas was rendered with
+	 */
+	async addImageRegions( regions, page, viewport ) {
+		const rects = await this.getImageRects( page );
+		const pageArea = viewport.width * viewport.height;
+
+		rects.forEach( ( rect ) => {
+			const [ x1, y1, x2, y2 ] = viewport.convertToViewportRectangle( rect );
+			const width = Math.abs( x2 - x1 );
+			const height = Math.abs( y2 - y1 );
+
+			if ( width * height > pageArea * SCANNED_PAGE_COVERAGE ) {
+				return;
+			}
+
+			const region = document.createElement( 'div' );
+			region.className = CLASSES.imageRegion;
+			region.style.left = ( Math.min( x1, x2 ) / viewport.width * 100 ) + '%';
+			region.style.top = ( Math.min( y1, y2 ) / viewport.height * 100 ) + '%';
+			region.style.width = ( width / viewport.width * 100 ) + '%';
+			region.style.height = ( height / viewport.height * 100 ) + '%';
+			regions.appendChild( region );
+		} );
+	}
+
+	/**
+	 * Get the rectangles a page draws images into
+	 *
+	 * Follows the transforms in the page's operator list the way the canvas
+	 * renderer does; each image fills the unit square of the current matrix.
+	 *
+	 * @param {Object} page - PDF.js page proxy
+	 * @returns {Promise<number[][]>} Rectangles as [x1, y1, x2, y2] in PDF units
+	 */
+	getImageRects( page ) {
+		if ( this.imageRects.has( page.pageNumber ) ) {
+			return this.imageRects.get( page.pageNumber );
+		}
+
+		const { OPS, Util } = pdfjsLib;
+
+		const rects = page.getOperatorList( { annotationMode: this.getAnnotationMode() } ).then( ( operatorList ) => {
+			const found = [];
+			const stack = [];
+			let matrix = [ 1, 0, 0, 1, 0, 0 ];
+
+			operatorList.fnArray.forEach( ( fn, index ) => {
+				const args = operatorList.argsArray[ index ];
+
+				switch ( fn ) {
+					case OPS.save:
+						stack.push( matrix );
+						break;
+
+					case OPS.restore:
+					case OPS.paintFormXObjectEnd:
+						matrix = stack.pop() || matrix;
+						break;
+
+					case OPS.transform:
+						matrix = Util.transform( matrix, args );
+						break;
+
+					case OPS.paintFormXObjectBegin:
+						stack.push( matrix );
+
+						if ( args[ 0 ] ) {
+							matrix = Util.transform( matrix, args[ 0 ] );
+						}
+						break;
+
+					case OPS.paintImageXObject:
+					case OPS.paintInlineImageXObject:
+						found.push( Util.getAxialAlignedBoundingBox( [ 0, 0, 1, 1 ], matrix ) );
+						break;
+				}
+			} );
+
+			return found;
+		} ).catch( ( error ) => {
+			console.error( '[MDPV Viewer] Image lookup failed:', error );
+			return [];
+		} );
+
+		this.imageRects.set( page.pageNumber, rects );
+
+		return rects;
+	}
+
+	/**
+	 * Add or remove image regions on everything drawn, after the page colors change
+	 */
+	updateImageRegions() {
+		if ( ! this.pdfDoc ) {
+			return;
+		}
+
+		this.getRenderedViews().forEach( async ( view ) => {
+			if ( ! view.pageNum || ! view.viewport ) {
+				return;
+			}
+
+			try {
+				const page = await this.pdfDoc.getPage( view.pageNum );
+				await this.renderImageRegions( view, page, view.viewport );
+			} catch ( error ) {
+				console.error( '[MDPV Viewer] Image lookup failed:', error );
+			}
+		} );
+
+		// Thumbnails get their regions as they render
+		this.resetThumbnails( false );
+	}
+
+	/**
+	 * Render or rescale the selectable text layer over a page
+	 *
+	 * The text layer is positioned in units of the page element's
+	 * --scale-factor, so a rescale only needs the variable updated.
+	 *
+	 * @param {Object} view - Page view state
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} viewport - Viewport the canvas was rendered with
+	 */
+	async renderTextLayer( view, page, viewport ) {
+		if ( ! this.config.enableTextLayer || ! pdfjsLib.TextLayer ) {
+			return;
+		}
+
+		// Same page: reposition the existing text
+		if ( view.textLayer && view.textLayerPageNum === page.pageNumber ) {
+			view.textLayer.update( { viewport } );
+			return;
+		}
+
+		this.clearTextLayer( view );
+
+		// Selection only; screen readers get the page content instead
+		const textLayerDiv = document.createElement( 'div' );
+		textLayerDiv.className = CLASSES.textLayer;
+		textLayerDiv.setAttribute( 'aria-hidden', 'true' );
+		view.element.appendChild( textLayerDiv );
+
+		const textLayer = new pdfjsLib.TextLayer( {
+			textContentSource: page.streamTextContent(),
+			container: textLayerDiv,
+			viewport,
+		} );
+
+		view.textLayer = textLayer;
+		view.textLayerDiv = textLayerDiv;
+		view.textLayerPageNum = page.pageNumber;
+
+		try {
+			await textLayer.render();
+			this.highlightSearchMatches( view );
+		} catch ( error ) {
+			if ( error.name !== 'AbortException' ) {
+				console.error( '[MDPV Viewer] Text layer failed:', error );
+			}
+		}
+	}
+
+	/**
+	 * Cancel and remove a page's text layer
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	clearTextLayer( view ) {
+		if ( view.textLayer ) {
+			view.textLayer.cancel();
+			view.textLayer = null;
+		}
+
+		if ( view.textLayerDiv ) {
+			view.textLayerDiv.remove();
+			view.textLayerDiv = null;
+		}
+
+		view.textLayerPageNum = 0;
+		view.highlightedItems = [];
+	}
+
+	/**
+	 * Expose a page's text to screen readers as visually hidden content
+	 *
+	 * Tagged PDFs keep their structure (headings, lists, tables, figure
+	 * descriptions) from page.getStructTree(); untagged pages fall back
+	 * to their text in reading order.
+	 *
+	 * @param {Object} view - Page view state
+	 * @param {Object} page - PDF.js page proxy
+	 */
+	async renderPageContent( view, page ) {
+		if ( view.contentDiv && view.contentPageNum === page.pageNumber ) {
+			return;
+		}
+
+		this.clearPageContent( view );
+
+		const contentDiv = document.createElement( 'div' );
+		contentDiv.className = CLASSES.pageContent + ' ' + CLASSES.srOnly;
+		contentDiv.setAttribute( 'role', 'region' );
+		contentDiv.setAttribute( 'aria-label', this.formatMessage( this.config.i18n.pageLabel || 'Page %1$d', page.pageNumber ) );
+		view.element.appendChild( contentDiv );
+
+		view.contentDiv = contentDiv;
+		view.contentPageNum = page.pageNumber;
+
+		try {
+			const [ textContent, structTree ] = await Promise.all( [
+				page.getTextContent( { includeMarkedContent: true } ),
+				page.getStructTree().catch( () => null ),
+			] );
+
+			// Page released or replaced while fetching
+			if ( view.contentDiv !== contentDiv ) {
+				return;
+			}
+
+			if ( structTree?.children?.length ) {
+				const texts = this.getMarkedContentTexts( textContent );
+				structTree.children.forEach( ( node ) => this.appendStructNode( contentDiv, node, texts ) );
+			}
+
+			if ( ! contentDiv.textContent.trim() ) {
+				contentDiv.replaceChildren();
+				this.appendPlainText( contentDiv, textContent );
+			}
+		} catch ( error ) {
+			console.error( '[MDPV Viewer] Page content failed:', error );
+		}
+	}
+
+	/**
+	 * Collect text by marked content ID, as referenced by the structure tree
+	 *
+	 * @param {Object} textContent - Text content with marked content items
+	 * @returns {Map<string, string>} Text keyed by marked content ID
+	 */
+	getMarkedContentTexts( textContent ) {
+		const texts = new Map();
+		const ids = [];
+
+		textContent.items.forEach( ( item ) => {
+			if ( item.type === 'beginMarkedContent' || item.type === 'beginMarkedContentProps' ) {
+				ids.push( item.id || null );
+				return;
+			}
+
+			if ( item.type === 'endMarkedContent' ) {
+				ids.pop();
+				return;
+			}
+
+			const id = ids.findLast( Boolean );
+			if ( id && item.str ) {
+				texts.set( id, ( texts.get( id ) || '' ) + item.str + ( item.hasEOL ? ' ' : '' ) );
+			}
+		} );
+
+		return texts;
+	}
+
+	/**
+	 * Append a structure tree node as an element with the matching ARIA role
+	 *
+	 * @param {HTMLElement} parent - Element to append to
+	 * @param {Object} node - Structure tree node from page.getStructTree()
+	 * @param {Map<string, string>} texts - Text by marked content ID
+	 */
+	appendStructNode( parent, node, texts ) {
+		if ( node.type === 'content' ) {
+			const text = texts.get( node.id );
+			if ( text ) {
+				parent.append( text + ' ' );
+			}
+			return;
+		}
+
+		if ( ! node.role ) {
+			return;
+		}
+
+		const element = document.createElement( 'span' );
+		const heading = /^H([1-6])$/.exec( node.role );
+
+		if ( heading ) {
+			element.setAttribute( 'role', 'heading' );
+			element.setAttribute( 'aria-level', heading[ 1 ] );
+		} else if ( STRUCT_ROLES[ node.role ] ) {
+			element.setAttribute( 'role', STRUCT_ROLES[ node.role ] );
+		}
+
+		if ( node.lang ) {
+			element.lang = node.lang;
+		}
+
+		// A description (figure alt text, or a replacement text) stands in for the children
+		if ( node.alt ) {
+			if ( node.role === 'Figure' ) {
+				element.setAttribute( 'role', 'img' );
+				element.setAttribute( 'aria-label', node.alt );
+			} else {
+				element.textContent = node.alt + ' ';
+			}
+		} else {
+			( node.children || [] ).forEach( ( child ) => this.appendStructNode( element, child, texts ) );
+		}
+
+		parent.appendChild( element );
+	}
+
+	/**
+	 * Append a page's text as paragraphs, split at blank lines
+	 *
+	 * @param {HTMLElement} parent - Element to append to
+	 * @param {Object} textContent - Page text content
+	 */
+	appendPlainText( parent, textContent ) {
+		let paragraph = '';
+
+		const flush = () => {
+			if ( paragraph.trim() ) {
+				const p = document.createElement( 'p' );
+				p.textContent = paragraph.trim();
+				parent.appendChild( p );
+			}
+
+			paragraph = '';
+		};
+
+		textContent.items.forEach( ( item ) => {
+			if ( typeof item.str !== 'string' ) {
+				return;
+			}
+
+			if ( ! item.str.trim() && item.hasEOL ) {
+				flush();
+				return;
+			}
+
+			paragraph += item.str + ( item.hasEOL ? ' ' : '' );
+		} );
+
+		flush();
+	}
+
+	/**
+	 * Remove a page's screen reader content
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	clearPageContent( view ) {
+		if ( view.contentDiv ) {
+			view.contentDiv.remove();
+			view.contentDiv = null;
+		}
+
+		view.contentPageNum = 0;
+	}
+
+	/**
+	 * Render link annotations over a page as real anchors
+	 *
+	 * @param {Object} view - Page view state
+	 * @param {Object} page - PDF.js page proxy
+	 * @param {Object} viewport - Viewport the canvas was rendered with
+	 */
+	async renderAnnotationLayer( view, page, viewport ) {
+		if ( ! pdfjsLib.AnnotationLayer ) {
+			return;
+		}
+
+		const annotationViewport = viewport.clone( { dontFlip: true } );
+
+		// Same page: annotations are positioned in percentages, so only rotation needs updating
+		if ( view.annotationLayer && view.annotationLayerPageNum === page.pageNumber ) {
+			view.annotationLayer.update( { viewport: annotationViewport } );
+			return;
+		}
+
+		this.clearAnnotationLayer( view );
+
+		try {
+			const annotations = ( await page.getAnnotations( { intent: 'display' } ) )
+				.filter( ( annotation ) => annotation.subtype === 'Link' ||
+					( this.config.enableForms && annotation.subtype === 'Widget' ) );
+			const fieldObjects = this.config.enableForms ? await this.getFieldObjects() : null;
+
+			// Page released or replaced while fetching
+			if ( ! annotations.length || ! view.element.isConnected || view.viewport !== viewport ) {
+				return;
+			}
+
+			const annotationLayerDiv = document.createElement( 'div' );
+			annotationLayerDiv.className = CLASSES.annotationLayer;
+			view.element.appendChild( annotationLayerDiv );
+
+			const annotationLayer = new pdfjsLib.AnnotationLayer( {
+				div: annotationLayerDiv,
+				page,
+				viewport: annotationViewport,
+			} );
+
+			view.annotationLayer = annotationLayer;
+			view.annotationLayerDiv = annotationLayerDiv;
+			view.annotationLayerPageNum = page.pageNumber;
+
+			// Field values live in the document's annotation storage, so they survive page changes
+			await annotationLayer.render( {
+				annotations,
+				page,
+				viewport: annotationViewport,
+				linkService: this.getLinkService(),
+				renderForms: this.config.enableForms,
+				annotationStorage: this.pdfDoc.annotationStorage,
+				fieldObjects,
+			} );
+		} catch ( error ) {
+			console.error( '[MDPV Viewer] Annotation layer failed:', error );
+		}
+	}
+
+	/**
+	 * Remove a page's annotation layer
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	clearAnnotationLayer( view ) {
+		if ( view.annotationLayerDiv ) {
+			view.annotationLayerDiv.remove();
+			view.annotationLayerDiv = null;
+		}
+
+		view.annotationLayer = null;
+		view.annotationLayerPageNum = 0;
+	}
+
+	/**
+	 * Get how page renders treat annotations
+	 *
+	 * With forms enabled, fields are left off the canvas because the
+	 * annotation layer draws them as inputs.
+	 *
+	 * @returns {number} PDF.js AnnotationMode value
+	 */
+	getAnnotationMode() {
+		return this.config.enableForms ? pdfjsLib.AnnotationMode.ENABLE_FORMS : pdfjsLib.AnnotationMode.ENABLE;
+	}
+
+	/**
+	 * Get the document's form fields, fetched once
+	 *
+	 * @returns {Promise<Object|null>} Field objects keyed by field name, or null without a form
+	 */
+	getFieldObjects() {
+		if ( ! this.fieldObjects ) {
+			this.fieldObjects = this.pdfDoc.getFieldObjects();
+		}
+
+		return this.fieldObjects;
+	}
+
+	/**
+	 * Get the current form values, including the reader's entries
+	 *
+	 * Checkboxes and radio groups give the export value of the checked
+	 * box, or null when none is checked. Buttons and signatures are left out.
+	 *
+	 * @returns {Promise<Object>} Values keyed by field name
+	 */
+	async getFormValues() {
+		const fieldObjects = this.pdfDoc ? await this.getFieldObjects() : null;
+		const values = {};
+
+		if ( ! fieldObjects || ! this.pdfDoc ) {
+			return values;
+		}
+
+		const storage = this.pdfDoc.annotationStorage;
+
+		Object.entries( fieldObjects ).forEach( ( [ name, widgets ] ) => {
+			widgets.forEach( ( widget ) => {
+				const stored = storage.getRawValue( widget.id )?.value;
+
+				switch ( widget.type ) {
+					case 'checkbox':
+					case 'radiobutton': {
+						const checked = stored ?? widget.value === widget.exportValues;
+
+						if ( checked ) {
+							values[ name ] = widget.exportValues;
+						} else if ( ! ( name in values ) ) {
+							values[ name ] = null;
+						}
+						break;
+					}
+
+					case 'text':
+					case 'combobox':
+					case 'listbox':
+						values[ name ] = stored ?? widget.value;
+						break;
+				}
+			} );
+		} );
+
+		return values;
+	}
+
+	/**
+	 * Report form edits with a formchange event carrying all field values
+	 *
+	 * @param {Event} e - Input or change event from the pages
+	 */
+	handleFormInput( e ) {
+		if ( ! e.target.closest( '.' + CLASSES.annotationLayer ) ) {
+			return;
+		}
+
+		// Created once so a burst of keystrokes sends one event
+		if ( ! this.debouncedFormChange ) {
+			this.debouncedFormChange = this.debounce( async () => {
+				try {
+					const values = await this.getFormValues();
+
+					if ( this.pdfDoc ) {
+						this.emit( 'formchange', { values } );
+					}
+				} catch ( error ) {
+					console.error( '[MDPV Viewer] Form values failed:', error );
+
+					// Fetch the fields again on the next edit
+					this.fieldObjects = null;
+				}
+			}, 300 );
+		}
+
+		this.debouncedFormChange();
+	}
+
+	/**
+	 * Get the link service PDF.js annotation elements call into
+	 *
+	 * @returns {Object} Link service
+	 */
+	getLinkService() {
+		if ( this.linkService ) {
+			return this.linkService;
+		}
+
+		this.linkService = {
+			eventBus: null,
+			getDestinationHash: () => '#',
+			getAnchorUrl: () => '#',
+			addLinkAttributes: ( link, url ) => this.addLinkAttributes( link, url ),
+			goToDestination: ( dest ) => this.goToDestination( dest ),
+			executeNamedAction: ( action ) => this.executeNamedAction( action ),
+			executeSetOCGState: () => {},
+		};
+
+		return this.linkService;
+	}
+
+	/**
+	 * Point an anchor at an external URL from the document
+	 *
+	 * Only web and mail links are made clickable; anything else
+	 * (javascript:, file:, ...) is left inert.
+	 *
+	 * @param {HTMLAnchorElement} link - Anchor created by PDF.js
+	 * @param {string} url - Link target
+	 */
+	addLinkAttributes( link, url ) {
+		let parsed = null;
+		try {
+			parsed = new URL( url, window.location.href );
+		} catch {
+			return;
+		}
+
+		if ( ! LINK_PROTOCOLS.includes( parsed.protocol ) ) {
+			return;
+		}
+
+		link.href = parsed.href;
+		link.title = parsed.href;
+		link.rel = 'noopener noreferrer nofollow';
+
+		if ( this.config.openLinksInNewTab ) {
+			link.target = '_blank';
+		}
+	}
+
+	/**
+	 * Go to an internal destination (named or explicit)
+	 *
+	 * @param {string|Array} dest - Destination from the document
+	 */
+	async goToDestination( dest ) {
+		if ( ! this.pdfDoc ) {
+			return;
+		}
+
+		try {
+			const explicitDest = typeof dest === 'string'
+				? await this.pdfDoc.getDestination( dest )
+				: dest;
+
+			if ( ! Array.isArray( explicitDest ) ) {
+				return;
+			}
+
+			const [ ref, mode, ...args ] = explicitDest;
+			let pageNum = 0;
+
+			if ( ref && typeof ref === 'object' ) {
+				pageNum = ( await this.pdfDoc.getPageIndex( ref ) ) + 1;
+			} else if ( Number.isInteger( ref ) ) {
+				pageNum = ref + 1;
+			}
+
+			// Position on the page, in PDF user space
+			let left = null;
+			let top = null;
+
+			switch ( mode?.name ) {
+				case 'XYZ':
+					[ left, top ] = args;
+					break;
+				case 'FitH':
+				case 'FitBH':
+					[ top ] = args;
+					break;
+				case 'FitR':
+					left = args[ 0 ];
+					top = args[ 3 ];
+					break;
+			}
+
+			await this.goToPage( pageNum, { left, top } );
+		} catch ( error ) {
+			console.error( '[MDPV Viewer] Failed to follow link:', error );
+		}
+	}
+
+	/**
+	 * Run a named navigation action from a link
+	 *
+	 * @param {string} action - Action name
+	 */
+	executeNamedAction( action ) {
+		switch ( action ) {
+			case 'NextPage':
+				this.nextPage();
+				break;
+			case 'PrevPage':
+				this.prevPage();
+				break;
+			case 'FirstPage':
+				this.goToPage( 1 );
+				break;
+			case 'LastPage':
+				this.goToPage( this.totalPages );
+				break;
+		}
+	}
+
+	/**
+	 * Scroll so a point on a rendered page sits at the top left of the view
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 * @param {number|null} left - X in PDF user space, or null to keep horizontal scroll
+	 * @param {number|null} top - Y in PDF user space, or null to keep vertical scroll
+	 */
+	scrollToPagePoint( pageNum, left, top ) {
+		const view = this.isContinuous()
+			? this.pageViews[ pageNum - 1 ]
+			: this.getRenderedViews().find( ( pageView ) => pageView.pageNum === pageNum );
+		if ( ! view?.viewport ) {
+			return;
+		}
+
+		const [ x, y ] = view.viewport.convertToViewportPoint( left ?? 0, top ?? 0 );
+
+		if ( typeof top === 'number' ) {
+			this.canvasContainer.scrollTop = view.element.offsetTop + y;
+		}
+
+		if ( typeof left === 'number' ) {
+			this.canvasContainer.scrollLeft = view.element.offsetLeft + x;
+		}
+	}
+
+	/**
+	 * Create the sidebar panel, once
+	 *
+	 * @returns {HTMLElement} Sidebar element
+	 */
+	createSidebar() {
+		if ( this.sidebar ) {
+			return this.sidebar;
+		}
+
+		const sidebar = document.createElement( 'div' );
+		sidebar.className = CLASSES.sidebar;
+		sidebar.id = this.idPrefix + 'sidebar';
+		sidebar.hidden = true;
+
+		// Panel switcher, shown once there is more than one panel
+		const tabs = document.createElement( 'div' );
+		tabs.className = CLASSES.sidebarTabs;
+		tabs.setAttribute( 'role', 'tablist' );
+		tabs.hidden = true;
+		tabs.addEventListener( 'keydown', ( e ) => this.handleSidebarTabsKeydown( e ), {
+			signal: this.abortController.signal,
+		} );
+		sidebar.appendChild( tabs );
+		this.sidebarTabs = tabs;
+
+		// Before the pages so it comes first in tab order
+		this.container.insertBefore( sidebar, this.canvasContainer );
+		this.sidebar = sidebar;
+
+		return sidebar;
+	}
+
+	/**
+	 * Add a panel to the sidebar
+	 *
+	 * @param {string} name - Panel name
+	 * @param {string} label - Tab label
+	 * @param {HTMLElement} content - Panel content
+	 * @param {boolean} [select] - Show this panel now
+	 */
+	addSidebarPanel( name, label, content, select = false ) {
+		this.createSidebar();
+
+		const panelId = this.sidebar.id + '-' + name;
+
+		const tab = document.createElement( 'button' );
+		tab.type = 'button';
+		tab.className = CLASSES.sidebarTab;
+		tab.id = panelId + '-tab';
+		tab.textContent = label;
+		tab.dataset.panel = name;
+		tab.setAttribute( 'role', 'tab' );
+		tab.setAttribute( 'aria-controls', panelId );
+		tab.addEventListener( 'click', () => this.selectSidebarPanel( name ), {
+			signal: this.abortController.signal,
+		} );
+		this.sidebarTabs.appendChild( tab );
+
+		const panel = document.createElement( 'div' );
+		panel.className = CLASSES.sidebarPanel;
+		panel.id = panelId;
+		panel.setAttribute( 'role', 'tabpanel' );
+		panel.setAttribute( 'aria-labelledby', tab.id );
+		panel.appendChild( content );
+		this.sidebar.appendChild( panel );
+
+		this.sidebarPanels.set( name, { tab, panel } );
+		this.sidebarTabs.hidden = this.sidebarPanels.size < 2;
+
+		this.selectSidebarPanel( select || this.sidebarPanels.size === 1 ? name : this.getSelectedSidebarPanel() );
+
+		if ( this.sidebarBtn ) {
+			this.sidebarBtn.hidden = false;
+		}
+	}
+
+	/**
+	 * Get the name of the visible sidebar panel
+	 *
+	 * @returns {string} Panel name
+	 */
+	getSelectedSidebarPanel() {
+		for ( const [ name, { tab } ] of this.sidebarPanels ) {
+			if ( tab.getAttribute( 'aria-selected' ) === 'true' ) {
+				return name;
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * Show one sidebar panel and hide the others
+	 *
+	 * @param {string} name - Panel name
+	 */
+	selectSidebarPanel( name ) {
+		this.sidebarPanels.forEach( ( { tab, panel }, panelName ) => {
+			const selected = panelName === name;
+			tab.setAttribute( 'aria-selected', String( selected ) );
+			tab.tabIndex = selected ? 0 : -1;
+			panel.hidden = ! selected;
+		} );
+
+		if ( name === 'thumbnails' ) {
+			this.scrollThumbnailIntoView();
+		}
+	}
+
+	/**
+	 * Move between sidebar tabs with the arrow keys
+	 *
+	 * @param {KeyboardEvent} e - Keyboard event
+	 */
+	handleSidebarTabsKeydown( e ) {
+		if ( e.key !== 'ArrowLeft' && e.key !== 'ArrowRight' ) {
+			return;
+		}
+
+		e.preventDefault();
+
+		const names = Array.from( this.sidebarPanels.keys() );
+		const step = e.key === 'ArrowRight' ? 1 : -1;
+		const index = ( names.indexOf( this.getSelectedSidebarPanel() ) + step + names.length ) % names.length;
+
+		this.selectSidebarPanel( names[ index ] );
+		this.sidebarPanels.get( names[ index ] ).tab.focus();
+	}
+
+	/**
+	 * Toggle the sidebar
+	 *
+	 * @param {boolean} [open] - Force open (true) or closed (false)
+	 */
+	toggleSidebar( open ) {
+		if ( ! this.sidebar ) {
+			return;
+		}
+
+		const isOpen = typeof open === 'boolean' ? open : this.sidebar.hidden;
+
+		this.sidebar.hidden = ! isOpen;
+		this.container.classList.toggle( CLASSES.sidebarOpen, isOpen );
+
+		if ( this.sidebarBtn ) {
+			this.sidebarBtn.setAttribute( 'aria-expanded', String( isOpen ) );
+		}
+
+		if ( isOpen ) {
+			this.scrollThumbnailIntoView();
+		}
+
+		// Pages get narrower or wider
+		this.renderPage( this.currentPage );
+	}
+
+	/**
+	 * Load the document outline into a tree in the sidebar
+	 */
+	async setupOutline() {
+		let outline = null;
+
+		try {
+			outline = await this.pdfDoc?.getOutline();
+		} catch ( error ) {
+			console.error( '[MDPV Viewer] Failed to load outline:', error );
+		}
+
+		if ( ! outline?.length || ! this.container.classList.contains( CLASSES.active ) ) {
+			return;
+		}
+
+		const tree = this.createOutlineGroup( outline, 1 );
+		tree.className = CLASSES.outline;
+		tree.setAttribute( 'role', 'tree' );
+		tree.setAttribute( 'aria-label', this.config.i18n.outline || 'Document outline' );
+
+		// First item is the tree's single tab stop
+		const firstItem = tree.querySelector( '[role="treeitem"]' );
+		if ( firstItem ) {
+			firstItem.tabIndex = 0;
+		}
+
+		const signal = this.abortController.signal;
+		tree.addEventListener( 'click', ( e ) => this.handleOutlineClick( e ), { signal } );
+		tree.addEventListener( 'keydown', ( e ) => this.handleOutlineKeydown( e ), { signal } );
+
+		this.outlineTree = tree;
+
+		// Outline is the better starting point for long documents, unless the reader already opened the sidebar
+		this.addSidebarPanel(
+			'outline',
+			this.config.i18n.outlineTab || 'Outline',
+			tree,
+			! this.sidebar || this.sidebar.hidden
+		);
+	}
+
+	/**
+	 * Create a lazily rendered thumbnail for every page in the sidebar
+	 */
+	setupThumbnails() {
+		if ( ! this.config.showThumbnails || ! this.pdfDoc ) {
+			return;
+		}
+
+		const list = document.createElement( 'div' );
+		list.className = CLASSES.thumbnails;
+
+		// Placeholders take the first rendered page's shape until each page renders
+		const aspectRatio = this.pageViews[ 0 ]
+			? this.pageViews[ 0 ].width + ' / ' + this.pageViews[ 0 ].height
+			: this.canvas.width + ' / ' + this.canvas.height;
+
+		this.thumbnails = [];
+
+		for ( let pageNum = 1; pageNum <= this.totalPages; pageNum++ ) {
+			const thumbnail = document.createElement( 'button' );
+			thumbnail.type = 'button';
+			thumbnail.className = CLASSES.thumbnail;
+			thumbnail.dataset.pageNumber = String( pageNum );
+			thumbnail.setAttribute( 'aria-label', this.formatMessage( this.config.i18n.goToPage || 'Go to page %1$d', pageNum ) );
+
+			const image = document.createElement( 'div' );
+			image.className = CLASSES.thumbnailImage;
+			image.style.aspectRatio = aspectRatio;
+
+			const label = document.createElement( 'span' );
+			label.className = CLASSES.thumbnailLabel;
+			label.textContent = String( pageNum );
+			label.setAttribute( 'aria-hidden', 'true' );
+
+			thumbnail.appendChild( image );
+			thumbnail.appendChild( label );
+			list.appendChild( thumbnail );
+			this.thumbnails.push( thumbnail );
+		}
+
+		list.addEventListener( 'click', ( e ) => {
+			const thumbnail = e.target.closest( '.' + CLASSES.thumbnail );
+			if ( thumbnail ) {
+				this.toggleOverview( false );
+				this.goToPage( thumbnail.dataset.pageNumber );
+			}
+		}, { signal: this.abortController.signal } );
+
+		this.addSidebarPanel( 'thumbnails', this.config.i18n.thumbnailsTab || 'Pages', list );
+
+		// Hidden panels never intersect, so nothing renders until the thumbnails are shown
+		if ( 'IntersectionObserver' in window ) {
+			this.thumbnailObserver = new IntersectionObserver(
+				( entries ) => {
+					entries.forEach( ( entry ) => {
+						const pageNum = parseInt( entry.target.dataset.pageNumber, 10 );
+
+						if ( entry.isIntersecting ) {
+							this.thumbnailsNearView.add( pageNum );
+							this.queueThumbnail( pageNum );
+						} else {
+							this.thumbnailsNearView.delete( pageNum );
+						}
+					} );
+
+					this.releaseDistantThumbnails();
+				},
+				{ root: this.sidebar, rootMargin: '200px 0px' }
+			);
+
+			this.thumbnails.forEach( ( thumbnail ) => this.thumbnailObserver.observe( thumbnail ) );
+		} else {
+			this.thumbnails.forEach( ( thumbnail, index ) => this.queueThumbnail( index + 1 ) );
+		}
+
+		this.updateThumbnailSelection();
+	}
+
+	/**
+	 * Add a page to the thumbnail render queue
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 */
+	queueThumbnail( pageNum ) {
+		if ( this.renderedThumbnails.has( pageNum ) || this.thumbnailQueue.includes( pageNum ) ) {
+			return;
+		}
+
+		this.thumbnailQueue.push( pageNum );
+		this.renderNextThumbnail();
+	}
+
+	/**
+	 * Render queued thumbnails one at a time
+	 *
+	 * Thumbnails use their own low-resolution render tasks so they never
+	 * cancel or hold up the main page render. The busy flag is set before
+	 * anything is awaited, so queueing more pages never starts a second run.
+	 */
+	async renderNextThumbnail() {
+		if ( this.thumbnailRendering ) {
+			return;
+		}
+
+		this.thumbnailRendering = true;
+
+		while ( this.thumbnailQueue.length && this.pdfDoc ) {
+			await this.renderThumbnail( this.thumbnailQueue.shift() );
+		}
+
+		this.thumbnailRendering = false;
+	}
+
+	/**
+	 * Render one page's thumbnail
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 */
+	async renderThumbnail( pageNum ) {
+		const thumbnail = this.thumbnails[ pageNum - 1 ];
+
+		// Already drawn, or scrolled far away again while waiting
+		if ( ! thumbnail || this.renderedThumbnails.has( pageNum ) ) {
+			return;
+		}
+
+		if ( this.thumbnailObserver && ! this.thumbnailsNearView.has( pageNum ) ) {
+			return;
+		}
+
+		try {
+			const page = await this.pdfDoc.getPage( pageNum );
+			const rotation = this.getPageRotation( page );
+			const unscaled = page.getViewport( { scale: 1, rotation } );
+			const outputScale = Math.min( window.devicePixelRatio || 1, 2 );
+			const viewport = page.getViewport( { scale: ( THUMBNAIL_WIDTH / unscaled.width ) * outputScale, rotation } );
+
+			const canvas = document.createElement( 'canvas' );
+			canvas.width = Math.floor( viewport.width );
+			canvas.height = Math.floor( viewport.height );
+
+			this.thumbnailTask = page.render( {
+				canvasContext: canvas.getContext( '2d' ),
+				viewport,
+			} );
+			await this.thumbnailTask.promise;
+
+			// Rotated while rendering, or the viewer was destroyed
+			if ( this.getPageRotation( page ) !== rotation || ! this.pdfDoc ) {
+				canvas.width = 0;
+				canvas.height = 0;
+				return;
+			}
+
+			const image = thumbnail.querySelector( '.' + CLASSES.thumbnailImage );
+			image.style.aspectRatio = unscaled.width + ' / ' + unscaled.height;
+			image.appendChild( canvas );
+			this.renderedThumbnails.add( pageNum );
+
+			if ( this.pageColors === 'dark' ) {
+				const regions = document.createElement( 'div' );
+				regions.className = CLASSES.imageRegions;
+				image.appendChild( regions );
+				this.addImageRegions( regions, page, viewport );
+			}
+		} catch ( error ) {
+			if ( error.name !== 'RenderingCancelledException' ) {
+				console.error( '[MDPV Viewer] Thumbnail render failed:', error );
+			}
+		} finally {
+			this.thumbnailTask = null;
+		}
+	}
+
+	/**
+	 * Free the canvas of a rendered thumbnail
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 */
+	releaseThumbnail( pageNum ) {
+		const thumbnail = this.thumbnails[ pageNum - 1 ];
+		const canvas = thumbnail?.querySelector( 'canvas' );
+
+		if ( canvas ) {
+			// Zero size frees the backing store right away
+			canvas.width = 0;
+			canvas.height = 0;
+			canvas.remove();
+		}
+
+		thumbnail?.querySelector( '.' + CLASSES.imageRegions )?.remove();
+
+		this.renderedThumbnails.delete( pageNum );
+	}
+
+	/**
+	 * Release thumbnails far from those in view, so long documents stay light
+	 *
+	 * Nothing is released while the panel is hidden, so it reopens as it was.
+	 */
+	releaseDistantThumbnails() {
+		if ( ! this.thumbnailsNearView.size ) {
+			return;
+		}
+
+		const near = Array.from( this.thumbnailsNearView );
+		const first = Math.min( ...near );
+		const last = Math.max( ...near );
+
+		this.renderedThumbnails.forEach( ( pageNum ) => {
+			if ( pageNum < first - THUMBNAIL_RELEASE_DISTANCE || pageNum > last + THUMBNAIL_RELEASE_DISTANCE ) {
+				this.releaseThumbnail( pageNum );
+			}
+		} );
+	}
+
+	/**
+	 * Discard rendered thumbnails so they render again
+	 *
+	 * @param {boolean} swapAspect - Swap placeholder width and height (quarter turn)
+	 */
+	resetThumbnails( swapAspect ) {
+		this.thumbnailQueue = [];
+
+		if ( this.thumbnailTask ) {
+			this.thumbnailTask.cancel();
+		}
+
+		this.renderedThumbnails.forEach( ( pageNum ) => this.releaseThumbnail( pageNum ) );
+
+		this.thumbnails.forEach( ( thumbnail, index ) => {
+			if ( swapAspect ) {
+				const image = thumbnail.querySelector( '.' + CLASSES.thumbnailImage );
+				const [ width, height ] = image.style.aspectRatio.split( '/' );
+				image.style.aspectRatio = height.trim() + ' / ' + width.trim();
+			}
+
+			// Observing again reports the thumbnails that are currently in view
+			if ( this.thumbnailObserver ) {
+				this.thumbnailObserver.unobserve( thumbnail );
+				this.thumbnailObserver.observe( thumbnail );
+			} else {
+				this.queueThumbnail( index + 1 );
+			}
+		} );
+	}
+
+	/**
+	 * Mark the current page's thumbnail
+	 */
+	updateThumbnailSelection() {
+		const currentPages = this.getSpreadPages( this.currentPage );
+
+		this.thumbnails.forEach( ( thumbnail, index ) => {
+			const isCurrent = currentPages.includes( index + 1 );
+			thumbnail.classList.toggle( CLASSES.thumbnailCurrent, isCurrent );
+
+			if ( isCurrent ) {
+				thumbnail.setAttribute( 'aria-current', 'page' );
+			} else {
+				thumbnail.removeAttribute( 'aria-current' );
+			}
+		} );
+
+		this.scrollThumbnailIntoView();
+	}
+
+	/**
+	 * Scroll the sidebar so the current page's thumbnail is visible
+	 */
+	scrollThumbnailIntoView() {
+		const thumbnail = this.thumbnails[ this.currentPage - 1 ];
+		if ( ! thumbnail || ! this.sidebar || this.sidebar.hidden ) {
+			return;
+		}
+
+		const sidebarRect = this.sidebar.getBoundingClientRect();
+		const thumbnailRect = thumbnail.getBoundingClientRect();
+
+		if ( thumbnailRect.top < sidebarRect.top || thumbnailRect.bottom > sidebarRect.bottom ) {
+			this.sidebar.scrollTop += thumbnailRect.top - sidebarRect.top - ( sidebarRect.height - thumbnailRect.height ) / 2;
+		}
+	}
+
+	/**
+	 * Build one level of the outline tree
+	 *
+	 * @param {Object[]} items - Outline entries from PDF.js
+	 * @param {number} level - Nesting level (1 for the root)
+	 * @returns {HTMLUListElement} List element
+	 */
+	createOutlineGroup( items, level ) {
+		const list = document.createElement( 'ul' );
+		list.setAttribute( 'role', 'group' );
+
+		items.forEach( ( entry ) => {
+			const item = document.createElement( 'li' );
+			item.setAttribute( 'role', 'treeitem' );
+			item.setAttribute( 'aria-level', String( level ) );
+			item.tabIndex = -1;
+
+			const row = document.createElement( 'div' );
+			row.className = CLASSES.outlineItem;
+
+			const toggle = document.createElement( 'span' );
+			toggle.className = CLASSES.outlineToggle;
+			toggle.setAttribute( 'aria-hidden', 'true' );
+			row.appendChild( toggle );
+
+			const label = document.createElement( 'span' );
+			label.className = CLASSES.outlineLabel;
+			label.textContent = entry.title;
+			if ( entry.bold ) {
+				label.style.fontWeight = 'bold';
+			}
+			if ( entry.italic ) {
+				label.style.fontStyle = 'italic';
+			}
+			row.appendChild( label );
+
+			item.appendChild( row );
+
+			if ( entry.items?.length ) {
+				// Negative count means the author saved it collapsed
+				const expanded = entry.count > 0;
+				const group = this.createOutlineGroup( entry.items, level + 1 );
+				group.hidden = ! expanded;
+
+				item.setAttribute( 'aria-expanded', String( expanded ) );
+				toggle.innerHTML = this.getIcon( 'chevronRight' );
+				item.appendChild( group );
+			}
+
+			this.outlineEntries.set( item, entry );
+			list.appendChild( item );
+		} );
+
+		return list;
+	}
+
+	/**
+	 * Handle clicks in the outline tree
+	 *
+	 * @param {MouseEvent} e - Click event
+	 */
+	handleOutlineClick( e ) {
+		const item = e.target.closest( '[role="treeitem"]' );
+		if ( ! item ) {
+			return;
+		}
+
+		this.focusOutlineItem( item );
+
+		if ( e.target.closest( '.' + CLASSES.outlineToggle ) ) {
+			this.setOutlineItemExpanded( item, item.getAttribute( 'aria-expanded' ) !== 'true' );
+		} else {
+			this.activateOutlineItem( item );
+		}
+	}
+
+	/**
+	 * Handle tree keyboard navigation (WAI-ARIA tree pattern)
+	 *
+	 * @param {KeyboardEvent} e - Keyboard event
+	 */
+	handleOutlineKeydown( e ) {
+		const item = e.target.closest( '[role="treeitem"]' );
+		if ( ! item ) {
+			return;
+		}
+
+		const visibleItems = Array.from( this.outlineTree.querySelectorAll( '[role="treeitem"]' ) )
+			.filter( ( treeItem ) => ! treeItem.parentElement.closest( '[role="group"][hidden]' ) );
+		const index = visibleItems.indexOf( item );
+		const expanded = item.getAttribute( 'aria-expanded' );
+
+		switch ( e.key ) {
+			case 'ArrowDown':
+				this.focusOutlineItem( visibleItems[ index + 1 ] );
+				break;
+
+			case 'ArrowUp':
+				this.focusOutlineItem( visibleItems[ index - 1 ] );
+				break;
+
+			case 'ArrowRight':
+				if ( expanded === 'false' ) {
+					this.setOutlineItemExpanded( item, true );
+				} else if ( expanded === 'true' ) {
+					this.focusOutlineItem( visibleItems[ index + 1 ] );
+				}
+				break;
+
+			case 'ArrowLeft':
+				if ( expanded === 'true' ) {
+					this.setOutlineItemExpanded( item, false );
+				} else {
+					this.focusOutlineItem( item.parentElement.closest( '[role="treeitem"]' ) );
+				}
+				break;
+
+			case 'Home':
+				this.focusOutlineItem( visibleItems[ 0 ] );
+				break;
+
+			case 'End':
+				this.focusOutlineItem( visibleItems[ visibleItems.length - 1 ] );
+				break;
+
+			case 'Enter':
+			case ' ':
+				this.activateOutlineItem( item );
+				break;
+
+			default:
+				return;
+		}
+
+		e.preventDefault();
+		e.stopPropagation();
+	}
+
+	/**
+	 * Move the outline's roving tab stop to an item and focus it
+	 *
+	 * @param {HTMLElement|undefined|null} item - Tree item
+	 */
+	focusOutlineItem( item ) {
+		if ( ! item ) {
+			return;
+		}
+
+		this.outlineTree.querySelectorAll( '[role="treeitem"][tabindex="0"]' ).forEach( ( treeItem ) => {
+			treeItem.tabIndex = -1;
+		} );
+
+		item.tabIndex = 0;
+		item.focus();
+	}
+
+	/**
+	 * Expand or collapse an outline item
+	 *
+	 * @param {HTMLElement} item - Tree item
+	 * @param {boolean} expanded - New state
+	 */
+	setOutlineItemExpanded( item, expanded ) {
+		const group = item.querySelector( ':scope > [role="group"]' );
+		if ( ! group ) {
+			return;
+		}
+
+		group.hidden = ! expanded;
+		item.setAttribute( 'aria-expanded', String( expanded ) );
+	}
+
+	/**
+	 * Go to an outline item's destination
+	 *
+	 * @param {HTMLElement} item - Tree item
+	 */
+	activateOutlineItem( item ) {
+		const entry = this.outlineEntries.get( item );
+		if ( ! entry ) {
+			return;
+		}
+
+		if ( entry.dest ) {
+			this.goToDestination( entry.dest );
+		} else if ( entry.url ) {
+			const link = document.createElement( 'a' );
+			this.addLinkAttributes( link, entry.url );
+			if ( link.href ) {
+				link.click();
+			}
+		}
+	}
+
+	/**
+	 * Get page views that currently have content on screen
+	 *
+	 * @returns {Object[]} Page view states
+	 */
+	getRenderedViews() {
+		if ( this.isContinuous() ) {
+			return this.pageViews.filter( ( view ) => view.canvas );
+		}
+
+		return [ this.pageView, this.spreadView ].filter( ( view ) => view && ! view.element.hidden );
+	}
+
+	/**
+	 * Toggle the search bar
+	 */
+	toggleSearch() {
+		if ( this.searchBar && ! this.searchBar.hidden ) {
+			this.closeSearch();
+		} else {
+			this.openSearch();
+		}
+	}
+
+	/**
+	 * Open the search bar and focus its input
+	 */
+	openSearch() {
+		if ( ! this.searchBar ) {
+			return;
+		}
+
+		this.searchBar.hidden = false;
+		this.searchInput.focus();
+		this.searchInput.select();
+	}
+
+	/**
+	 * Close the search bar and clear highlights
+	 */
+	closeSearch() {
+		if ( ! this.searchBar ) {
+			return;
+		}
+
+		this.searchBar.hidden = true;
+		this.searchInput.value = '';
+		this.searchId++;
+		this.searchMatches = [];
+		this.searchIndex = -1;
+		this.updateSearchControls();
+		this.getRenderedViews().forEach( ( view ) => this.highlightSearchMatches( view ) );
+
+		this.container.focus( { preventScroll: true } );
+	}
+
+	/**
+	 * Get a page's text for searching, extracting it on first use
+	 *
+	 * Items are case-folded one by one and joined in text layer order, so
+	 * match offsets map back to the text layer's spans even where folding
+	 * changes a string's length. Lines are separated by a space.
+	 *
+	 * @param {number} pageNum - Page number (1-indexed)
+	 * @returns {Promise<Object>} Page text ({ text, items, offsets, positions })
+	 */
+	async getPageText( pageNum ) {
+		if ( this.pageTexts[ pageNum - 1 ] ) {
+			return this.pageTexts[ pageNum - 1 ];
+		}
+
+		const page = await this.pdfDoc.getPage( pageNum );
+		const content = await page.getTextContent();
+
+		const items = [];
+		const offsets = [];
+		const positions = [];
+		let text = '';
+
+		content.items.forEach( ( item ) => {
+			if ( item.str === undefined ) {
+				return;
+			}
+
+			const folded = this.foldCase( item.str );
+
+			offsets.push( text.length );
+			items.push( folded.text );
+			positions.push( folded.positions );
+			text += folded.text + ( item.hasEOL ? ' ' : '' );
+		} );
+
+		const pageText = { text, items, offsets, positions };
+		this.pageTexts[ pageNum - 1 ] = pageText;
+
+		return pageText;
+	}
+
+	/**
+	 * Lowercase a string for case-insensitive search
+	 *
+	 * Lowercasing can change the length (İ becomes i plus a combining dot),
+	 * so when it does, positions maps each folded index back to the index
+	 * in the original string.
+	 *
+	 * @param {string} str - Text to fold
+	 * @returns {{text: string, positions: number[]|null}} Folded text, and index map when the length changed
+	 */
+	foldCase( str ) {
+		const text = str.toLowerCase();
+		if ( text.length === str.length ) {
+			return { text, positions: null };
+		}
+
+		let folded = '';
+		const positions = [];
+
+		for ( let index = 0; index < str.length; ) {
+			const char = String.fromCodePoint( str.codePointAt( index ) );
+			const lower = char.toLowerCase();
+
+			for ( let i = 0; i < lower.length; i++ ) {
+				positions.push( index );
+			}
+
+			folded += lower;
+			index += char.length;
+		}
+
+		positions.push( str.length );
+
+		return { text: folded, positions };
+	}
+
+	/**
+	 * Search all pages for a query and go to the first match from the current page
+	 *
+	 * @param {string} query - Text to find (case-insensitive)
+	 */
+	async search( query ) {
+		const searchId = ++this.searchId;
+		const needle = this.foldCase( query.trim() ).text;
+
+		this.searchMatches = [];
+		this.searchIndex = -1;
+
+		if ( needle && this.pdfDoc ) {
+			const matches = [];
+
+			try {
+				for ( let pageNum = 1; pageNum <= this.totalPages; pageNum++ ) {
+					const { text } = await this.getPageText( pageNum );
+
+					// A newer search or destroy() superseded this one
+					if ( searchId !== this.searchId ) {
+						return;
+					}
+
+					let start = text.indexOf( needle );
+					while ( start !== -1 ) {
+						matches.push( { pageNum, start, end: start + needle.length } );
+						start = text.indexOf( needle, start + needle.length );
+					}
+				}
+			} catch ( error ) {
+				if ( searchId === this.searchId ) {
+					console.error( '[MDPV Viewer] Search failed:', error );
+				}
+				return;
+			}
+
+			this.searchMatches = matches;
+		}
+
+		if ( this.searchMatches.length ) {
+			const fromCurrent = this.searchMatches.findIndex( ( match ) => match.pageNum >= this.currentPage );
+			await this.selectSearchMatch( Math.max( 0, fromCurrent ) );
+		} else {
+			this.updateSearchControls();
+			this.getRenderedViews().forEach( ( view ) => this.highlightSearchMatches( view ) );
+		}
+	}
+
+	/**
+	 * Go to the next search match
+	 */
+	findNext() {
+		if ( this.searchMatches.length ) {
+			this.selectSearchMatch( ( this.searchIndex + 1 ) % this.searchMatches.length );
+		}
+	}
+
+	/**
+	 * Go to the previous search match
+	 */
+	findPrev() {
+		if ( this.searchMatches.length ) {
+			const count = this.searchMatches.length;
+			this.selectSearchMatch( ( this.searchIndex - 1 + count ) % count );
+		}
+	}
+
+	/**
+	 * Select a search match, moving to its page and scrolling it into view
+	 *
+	 * @param {number} index - Index into this.searchMatches
+	 */
+	async selectSearchMatch( index ) {
+		const match = this.searchMatches[ index ];
+		if ( ! match ) {
+			return;
+		}
+
+		this.searchIndex = index;
+		this.updateSearchControls();
+
+		if ( ! this.getSpreadPages( this.currentPage ).includes( match.pageNum ) ) {
+			await this.renderPage( match.pageNum );
+		}
+
+		this.getRenderedViews().forEach( ( view ) => this.highlightSearchMatches( view ) );
+
+		// Bring the selected match into view within the scroll container
+		const selected = this.canvasContainer?.querySelector( '.' + CLASSES.highlightSelected );
+		if ( selected ) {
+			const containerRect = this.canvasContainer.getBoundingClientRect();
+			const matchRect = selected.getBoundingClientRect();
+
+			if ( matchRect.top < containerRect.top || matchRect.bottom > containerRect.bottom ) {
+				this.canvasContainer.scrollTop += matchRect.top - containerRect.top - containerRect.height / 3;
+			}
+
+			if ( matchRect.left < containerRect.left || matchRect.right > containerRect.right ) {
+				this.canvasContainer.scrollLeft += matchRect.left - containerRect.left - containerRect.width / 3;
+			}
+		}
+	}
+
+	/**
+	 * Wrap the search matches on a page's text layer in highlight spans
+	 *
+	 * @param {Object} view - Page view state
+	 */
+	highlightSearchMatches( view ) {
+		const textLayer = view.textLayer;
+		if ( ! textLayer ) {
+			return;
+		}
+
+		const textDivs = textLayer.textDivs;
+		const itemStrings = textLayer.textContentItemsStr;
+
+		// Restore previously highlighted spans to plain text
+		view.highlightedItems.forEach( ( itemIndex ) => {
+			if ( textDivs[ itemIndex ] ) {
+				textDivs[ itemIndex ].textContent = itemStrings[ itemIndex ];
+			}
+		} );
+		view.highlightedItems = [];
+
+		const pageText = this.pageTexts[ view.textLayerPageNum - 1 ];
+		if ( ! pageText ) {
+			return;
+		}
+
+		// Collect highlighted ranges per text item
+		const ranges = new Map();
+
+		this.searchMatches.forEach( ( match, matchIndex ) => {
+			if ( match.pageNum !== view.textLayerPageNum ) {
+				return;
+			}
+
+			pageText.offsets.forEach( ( offset, itemIndex ) => {
+				const itemEnd = offset + pageText.items[ itemIndex ].length;
+				if ( match.start >= itemEnd || match.end <= offset ) {
+					return;
+				}
+
+				if ( ! ranges.has( itemIndex ) ) {
+					ranges.set( itemIndex, [] );
+				}
+
+				ranges.get( itemIndex ).push( {
+					start: Math.max( match.start, offset ) - offset,
+					end: Math.min( match.end, itemEnd ) - offset,
+					selected: matchIndex === this.searchIndex,
+				} );
+			} );
+		} );
+
+		ranges.forEach( ( itemRanges, itemIndex ) => {
+			const div = textDivs[ itemIndex ];
+			const str = itemStrings[ itemIndex ];
+			if ( ! div || str === undefined ) {
+				return;
+			}
+
+			// Ranges are in folded text; map them back to the original string
+			const itemPositions = pageText.positions[ itemIndex ];
+			if ( itemPositions ) {
+				itemRanges.forEach( ( range ) => {
+					range.start = itemPositions[ range.start ];
+					range.end = itemPositions[ range.end ];
+				} );
+			}
+
+			div.textContent = '';
+			let position = 0;
+
+			itemRanges.forEach( ( range ) => {
+				if ( range.start > position ) {
+					div.appendChild( document.createTextNode( str.substring( position, range.start ) ) );
+				}
+
+				const mark = document.createElement( 'span' );
+				mark.className = CLASSES.highlight + ( range.selected ? ' ' + CLASSES.highlightSelected : '' );
+				mark.textContent = str.substring( range.start, range.end );
+				div.appendChild( mark );
+
+				position = range.end;
+			} );
+
+			if ( position < str.length ) {
+				div.appendChild( document.createTextNode( str.substring( position ) ) );
+			}
+
+			view.highlightedItems.push( itemIndex );
+		} );
+	}
+
+	/**
+	 * Update the search match count and button states
+	 */
+	updateSearchControls() {
+		if ( ! this.searchBar ) {
+			return;
+		}
+
+		const total = this.searchMatches.length;
+
+		if ( total ) {
+			this.searchCount.textContent = this.formatMessage(
+				this.config.i18n.searchCount || '%1$d of %2$d',
+				this.searchIndex + 1,
+				total
+			);
+		} else if ( this.searchInput.value.trim() ) {
+			this.searchCount.textContent = this.config.i18n.searchNoResults || 'No matches';
+		} else {
+			this.searchCount.textContent = '';
+		}
+
+		this.searchBar.querySelectorAll( '[data-action="findPrev"], [data-action="findNext"]' ).forEach( ( button ) => {
+			button.disabled = total === 0;
+		} );
+	}
+
+	/**
+	 * Go to previous page
+	 *
+	 * @returns {Promise<void>} Resolves once the page is rendered
+	 */
+	prevPage() {
+		// Lands on the start of the previous spread when showing facing pages
+		if ( this.currentPage > 1 ) {
+			return this.renderPage( this.currentPage - 1 );
+		}
+
+		return Promise.resolve();
+	}
+
+	/**
+	 * Go to next page
+	 *
+	 * @returns {Promise<void>} Resolves once the page is rendered
+	 */
+	nextPage() {
+		const pages = this.getSpreadPages( this.currentPage );
+		const lastPage = pages[ pages.length - 1 ];
+
+		if ( lastPage < this.totalPages ) {
+			return this.renderPage( lastPage + 1 );
+		}
+
+		return Promise.resolve();
+	}
+
+	/**
+	 * Go to specific page
+	 *
+	 * @param {number} pageNum - Page number
+	 * @param {Object} [position] - Optional point to scroll to, in PDF user space
+	 * @param {number|null} [position.left] - X coordinate
+	 * @param {number|null} [position.top] - Y coordinate
+	 * @returns {Promise<void>} Resolves once the page is rendered
+	 */
+	async goToPage( pageNum, position = {} ) {
+		const num = parseInt( pageNum, 10 );
+		if ( ! isNaN( num ) && num >= 1 && num <= this.totalPages ) {
+			await this.renderPage( num );
+
+			if ( typeof position.left === 'number' || typeof position.top === 'number' ) {
+				this.scrollToPagePoint( num, position.left ?? null, position.top ?? null );
+			}
+		}
+	}
+
+	/**
+	 * Zoom in to the next zoom level
+	 *
+	 * @param {number} [clientX] - Viewport X of the point to keep in place; the view center if omitted
+	 * @param {number} [clientY] - Viewport Y of the point to keep in place
+	 * @returns {Promise<void>} Resolves once the page is rendered and scrolled
+	 */
+	zoomIn( clientX, clientY ) {
+		const level = ZOOM_LEVELS.find( ( z ) => z > this.scale + 0.001 );
+
+		return level ? this.zoomAt( level, clientX, clientY ) : Promise.resolve();
+	}
+
+	/**
+	 * Zoom out to the previous zoom level
+	 *
+	 * @param {number} [clientX] - Viewport X of the point to keep in place; the view center if omitted
+	 * @param {number} [clientY] - Viewport Y of the point to keep in place
+	 * @returns {Promise<void>} Resolves once the page is rendered and scrolled
+	 */
+	zoomOut( clientX, clientY ) {
+		const level = [ ...ZOOM_LEVELS ].reverse().find( ( z ) => z < this.scale - 0.001 );
+
+		return level ? this.zoomAt( level, clientX, clientY ) : Promise.resolve();
+	}
+
+	/**
+	 * Set specific zoom level
+	 *
+	 * @param {number} scale - Zoom scale, 1 = actual size (0.25 to 4)
+	 * @returns {Promise<void>} Resolves once the page is rendered at the new zoom
+	 */
+	setZoom( scale ) {
+		this.zoomMode = 'custom';
+		this.scale = this.clampScale( scale );
+		const rendered = this.renderPage( this.currentPage );
+		this.updateZoomLabel();
+
+		return rendered;
+	}
+
+	/**
+	 * Set a zoom mode or percentage
+	 *
+	 * @param {string|number} zoom - 'page-fit', 'page-width', 'page-actual', or a percentage such as 150 or '150%'
+	 * @returns {Promise<void>} Resolves once the page is rendered at the new zoom
+	 */
+	setZoomMode( zoom ) {
+		if ( ZOOM_MODES.includes( zoom ) ) {
+			this.zoomMode = zoom;
+			const rendered = this.renderPage( this.currentPage );
+			this.updateZoomLabel();
+
+			return rendered;
+		}
+
+		const scale = this.parseZoom( zoom );
+
+		if ( scale ) {
+			return this.setZoom( scale );
+		}
+
+		// Restore the label after unusable input
+		this.updateZoomLabel();
+
+		return Promise.resolve();
+	}
+
+	/**
+	 * Rotate all pages
+	 *
+	 * @param {number} delta - Degrees to rotate by; positive is clockwise (multiple of 90)
+	 * @returns {Promise<void>} Resolves once the page is rendered at the new rotation
+	 */
+	rotate( delta ) {
+		const rotation = this.normalizeRotation( this.rotation + delta );
+		if ( rotation === this.rotation ) {
+			return Promise.resolve();
+		}
+
+		const quarterTurn = ( rotation - this.rotation ) % 180 !== 0;
+		this.rotation = rotation;
+
+		if ( this.isContinuous() ) {
+			// Every rendered page is stale; quarter turns also swap placeholder sizes
+			this.pageViews.forEach( ( view ) => {
+				this.releasePageView( view );
+
+				if ( quarterTurn ) {
+					[ view.width, view.height ] = [ view.height, view.width ];
+				}
+			} );
+
+			this.layoutKey = '';
+		}
+
+		this.resetThumbnails( quarterTurn );
+		const rendered = this.renderPage( this.currentPage );
+
+		this.emit( 'rotationchange', { rotation: this.rotation } );
+
+		return rendered;
+	}
+
+	/**
+	 * Set the page color filter
+	 *
+	 * Filters apply to the rendered canvases with CSS, so pages are not
+	 * re-rendered. Dark inverts lightness and rotates hues back; image
+	 * regions over each page undo it for photos (see addImageRegions()).
+	 *
+	 * @param {string} mode - 'default', 'dark', 'sepia' or 'contrast'
+	 * @param {boolean} [remember=true] - Save as the reader's choice for all viewers
+	 */
+	setPageColors( mode, remember = true ) {
+		if ( ! PAGE_COLORS.includes( mode ) ) {
+			return;
+		}
+
+		const darkChanged = ( mode === 'dark' ) !== ( this.pageColors === 'dark' );
+
+		this.container.classList.remove( 'mdpv-colors-' + this.pageColors );
+		this.container.classList.add( 'mdpv-colors-' + mode );
+		this.pageColors = mode;
+
+		if ( darkChanged ) {
+			this.updateImageRegions();
+		}
+
+		if ( this.colorsSelect ) {
+			this.colorsSelect.value = mode;
+		}
+
+		if ( remember ) {
+			try {
+				window.localStorage.setItem( PAGE_COLORS_STORAGE_KEY, mode );
+			} catch ( error ) {
+				// Storage disabled or full; the choice lasts for this page view
+			}
+		}
+
+		this.emit( 'pagecolorschange', { pageColors: mode } );
+	}
+
+	/**
+	 * Get the reader's saved page color filter
+	 *
+	 * @returns {string|null} Saved mode, or null if none or storage is unavailable
+	 */
+	getStoredPageColors() {
+		try {
+			const mode = window.localStorage.getItem( PAGE_COLORS_STORAGE_KEY );
+			return PAGE_COLORS.includes( mode ) ? mode : null;
+		} catch ( error ) {
+			return null;
+		}
+	}
+
+	/**
+	 * Clamp a rotation to 0, 90, 180 or 270 degrees
+	 *
+	 * @param {number|string} rotation - Rotation in degrees
+	 * @returns {number} Normalized rotation
+	 */
+	normalizeRotation( rotation ) {
+		const quarterTurns = Math.round( ( parseInt( rotation, 10 ) || 0 ) / 90 );
+
+		return ( ( quarterTurns % 4 ) + 4 ) % 4 * 90;
+	}
+
+	/**
+	 * Get the rotation to render a page at
+	 *
+	 * @param {Object} page - PDF.js page
+	 * @returns {number} The page's own rotation plus the viewer rotation
+	 */
+	getPageRotation( page ) {
+		return ( page.rotate + this.rotation ) % 360;
+	}
+
+	/**
+	 * Parse a zoom percentage
+	 *
+	 * @param {string|number} zoom - Percentage such as 150 or '150%'
+	 * @returns {number} Zoom scale, or 0 if not a usable percentage
+	 */
+	parseZoom( zoom ) {
+		const percent = parseFloat( String( zoom ).replace( ',', '.' ) );
+
+		return percent > 0 ? percent / 100 : 0;
+	}
+
+	/**
+	 * Download the PDF, including the reader's form entries if there are any
+	 *
+	 * @returns {Promise<void>} Resolves once the download is started
+	 */
+	async download() {
+		// Form entries only exist in the browser, so save a copy that includes them
+		if ( this.pdfDoc && this.pdfDoc.annotationStorage.size > 0 ) {
+			try {
+				const data = await this.pdfDoc.saveDocument();
+				const url = URL.createObjectURL( new Blob( [ data ], { type: 'application/pdf' } ) );
+
+				this.downloadUrl( url );
+
+				// Released once the download has started
+				setTimeout( () => URL.revokeObjectURL( url ), 1000 );
+				return;
+			} catch ( error ) {
+				console.error( '[MDPV Viewer] Saving filled form failed:', error );
+			}
+		}
+
+		this.downloadUrl( this.config.pdfUrl );
+	}
+
+	/**
+	 * Download a URL under the document's file name
+	 *
+	 * @param {string} url - File or object URL
+	 */
+	downloadUrl( url ) {
+		const link = document.createElement( 'a' );
+		link.href = url;
+		link.download = this.getFilename();
+		link.click();
+	}
+
+	/**
+	 * Print the PDF
+	 */
+	print() {
+		if ( ! this.pdfDoc ) {
+			return;
+		}
+
+		const dialog = this.printDialog || this.createPrintDialog();
+		const error = dialog.querySelector( '.' + CLASSES.printError );
+
+		error.hidden = true;
+		dialog.hidden = false;
+		dialog.querySelector( 'input[type="radio"]:checked' ).focus();
+	}
+
+	/**
+	 * Create the print page selection dialog, once
+	 *
+	 * @returns {HTMLFormElement} Print dialog
+	 */
+	createPrintDialog() {
+		const id = this.idPrefix + 'print';
+		const signal = this.abortController.signal;
+
+		const form = document.createElement( 'form' );
+		form.className = CLASSES.dialog + ' ' + CLASSES.printDialog;
+		form.noValidate = true;
+		form.hidden = true;
+		form.setAttribute( 'aria-labelledby', id + '-title' );
+
+		const fieldset = document.createElement( 'fieldset' );
+
+		const legend = document.createElement( 'legend' );
+		legend.id = id + '-title';
+		legend.textContent = this.config.i18n.printPages || 'Print pages';
+		fieldset.appendChild( legend );
+
+		const options = [
+			[ 'all', this.config.i18n.printAll || 'All pages' ],
+			[ 'current', this.config.i18n.printCurrent || 'Current page' ],
+			[ 'range', this.config.i18n.printRange || 'Pages' ],
+		];
+
+		options.forEach( ( [ value, text ], index ) => {
+			const label = document.createElement( 'label' );
+			const radio = document.createElement( 'input' );
+			radio.type = 'radio';
+			radio.name = id + '-pages';
+			radio.value = value;
+			radio.checked = index === 0;
+
+			label.appendChild( radio );
+			label.appendChild( document.createTextNode( ' ' + text ) );
+			fieldset.appendChild( label );
+		} );
+
+		const range = document.createElement( 'input' );
+		range.type = 'text';
+		range.className = CLASSES.printRange;
+		range.placeholder = '1-3, 8';
+		range.setAttribute( 'aria-label', this.config.i18n.printRangeLabel || 'Page range, for example 1-3, 8' );
+		range.setAttribute( 'aria-describedby', id + '-error' );
+		fieldset.appendChild( range );
+
+		// Typing a range selects the range option
+		range.addEventListener( 'input', () => {
+			fieldset.querySelector( 'input[value="range"]' ).checked = true;
+		}, { signal } );
+
+		const error = document.createElement( 'p' );
+		error.className = CLASSES.printError;
+		error.id = id + '-error';
+		error.setAttribute( 'role', 'alert' );
+		error.hidden = true;
+
+		const actions = document.createElement( 'div' );
+		actions.className = CLASSES.dialogActions;
+
+		const submit = document.createElement( 'button' );
+		submit.type = 'submit';
+		submit.className = CLASSES.dialogSubmit;
+		submit.textContent = this.config.i18n.print || 'Print';
+
+		const cancel = document.createElement( 'button' );
+		cancel.type = 'button';
+		cancel.className = CLASSES.dialogCancel;
+		cancel.textContent = this.config.i18n.cancel || 'Cancel';
+
+		actions.appendChild( submit );
+		actions.appendChild( cancel );
+
+		form.appendChild( fieldset );
+		form.appendChild( error );
+		form.appendChild( actions );
+
+		const close = () => {
+			form.hidden = true;
+			this.container.focus( { preventScroll: true } );
+		};
+
+		form.addEventListener( 'submit', ( e ) => {
+			e.preventDefault();
+
+			const choice = fieldset.querySelector( 'input[type="radio"]:checked' ).value;
+			let pages = null;
+
+			if ( choice === 'all' ) {
+				pages = Array.from( { length: this.totalPages }, ( _, index ) => index + 1 );
+			} else if ( choice === 'current' ) {
+				pages = [ this.currentPage ];
+			} else {
+				pages = this.parsePageRange( range.value );
+			}
+
+			if ( ! pages ) {
+				error.textContent = this.formatMessage(
+					this.config.i18n.printRangeError || 'Enter pages between 1 and %1$d, for example 1-3, 8.',
+					this.totalPages
+				);
+				error.hidden = false;
+				range.focus();
+				return;
+			}
+
+			close();
+			this.printPages( pages );
+		}, { signal } );
+
+		cancel.addEventListener( 'click', close, { signal } );
+
+		form.addEventListener( 'keydown', ( e ) => {
+			// Keep keys away from page navigation while the dialog is open
+			e.stopPropagation();
+
+			if ( e.key === 'Escape' ) {
+				e.preventDefault();
+				close();
+			}
+		}, { signal } );
+
+		this.container.appendChild( form );
+		this.printDialog = form;
+
+		return form;
+	}
+
+	/**
+	 * Parse a page range such as "1-3, 8" or "5-"
+	 *
+	 * @param {string} text - Page range
+	 * @returns {number[]|null} Sorted page numbers, or null if the range is empty or invalid
+	 */
+	parsePageRange( text ) {
+		const pages = new Set();
+		const parts = text.split( ',' ).map( ( part ) => part.trim() ).filter( Boolean );
+
+		for ( const part of parts ) {
+			const match = /^(\d+)(?:\s*-\s*(\d*))?$/.exec( part );
+			if ( ! match ) {
+				return null;
+			}
+
+			const from = parseInt( match[ 1 ], 10 );
+			let to = from;
+
+			if ( match[ 2 ] !== undefined ) {
+				// Open-ended ranges run to the last page
+				to = match[ 2 ] ? parseInt( match[ 2 ], 10 ) : this.totalPages;
+			}
+
+			if ( from < 1 || to > this.totalPages || from > to ) {
+				return null;
+			}
+
+			for ( let pageNum = from; pageNum <= to; pageNum++ ) {
+				pages.add( pageNum );
+			}
+		}
+
+		return pages.size ? Array.from( pages ).sort( ( a, b ) => a - b ) : null;
+	}
+
+	/**
+	 * Render pages at print resolution into a hidden frame and print it
+	 *
+	 * Works without popups or a browser PDF plugin. Pages keep the
+	 * viewer's rotation.
+	 *
+	 * @param {number[]} pages - Page numbers to print
+	 */
+	async printPages( pages ) {
+		if ( ! this.pdfDoc || ! pages.length ) {
+			return;
+		}
+
+		const printId = ++this.printId;
+		const printBtn = this.toolbar?.querySelector( '[data-action="print"]' );
+
+		this.removePrintFrame();
+		this.showLoading();
+
+		if ( printBtn ) {
+			printBtn.disabled = true;
+		}
+
+		const urls = [];
+
+		try {
+			for ( const pageNum of pages ) {
+				const page = await this.pdfDoc.getPage( pageNum );
+				const rotation = this.getPageRotation( page );
+				const unscaled = page.getViewport( { scale: 1, rotation } );
+				const scale = Math.min(
+					PRINT_DPI / 72,
+					Math.sqrt( MAX_CANVAS_PIXELS / ( unscaled.width * unscaled.height ) )
+				);
+				const viewport = page.getViewport( { scale, rotation } );
+
+				const canvas = document.createElement( 'canvas' );
+				canvas.width = Math.floor( viewport.width );
+				canvas.height = Math.floor( viewport.height );
+
+				// Print the reader's form entries rather than the saved field values
+				await page.render( {
+					canvasContext: canvas.getContext( '2d' ),
+					viewport,
+					intent: 'print',
+					annotationMode: pdfjsLib.AnnotationMode.ENABLE_STORAGE,
+				} ).promise;
+
+				const blob = await new Promise( ( resolve ) => canvas.toBlob( resolve ) );
+
+				// Free the bitmap right away; long documents add up
+				canvas.width = 0;
+				canvas.height = 0;
+
+				if ( printId !== this.printId ) {
+					urls.forEach( ( url ) => URL.revokeObjectURL( url ) );
+					return;
+				}
+
+				urls.push( URL.createObjectURL( blob ) );
+			}
+
+			await this.printImages( urls, printId );
+		} catch ( error ) {
+			urls.forEach( ( url ) => URL.revokeObjectURL( url ) );
+
+			if ( printId === this.printId ) {
+				console.error( '[MDPV Viewer] Print failed:', error );
+			}
+		} finally {
+			if ( printId === this.printId ) {
+				this.hideLoading();
+
+				if ( printBtn ) {
+					printBtn.disabled = false;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Print page images from a hidden frame
+	 *
+	 * @param {string[]} urls - Object URLs of the page images, revoked once printed
+	 * @param {number} printId - Print job the images belong to
+	 */
+	async printImages( urls, printId ) {
+		const frame = document.createElement( 'iframe' );
+		frame.className = CLASSES.printFrame;
+		frame.setAttribute( 'aria-hidden', 'true' );
+		frame.tabIndex = -1;
+		document.body.appendChild( frame );
+		this.printFrame = frame;
+
+		const doc = frame.contentDocument;
+		doc.open();
+		doc.write( '<!DOCTYPE html><html><head><title></title></head><body></body></html>' );
+		doc.close();
+
+		// One image per sheet, scaled to the printable area
+		const style = doc.createElement( 'style' );
+		style.textContent = '@page { margin: 0; } html, body { margin: 0; padding: 0; } ' +
+			'img { display: block; width: 100%; height: 100vh; object-fit: contain; break-after: page; } ' +
+			'img:last-child { break-after: auto; }';
+		doc.head.appendChild( style );
+		doc.title = this.getFilename();
+
+		const loads = urls.map( ( url ) => {
+			const img = doc.createElement( 'img' );
+			img.src = url;
+			img.alt = '';
+			doc.body.appendChild( img );
+
+			return img.decode().catch( () => {} );
+		} );
+
+		await Promise.all( loads );
+
+		if ( printId !== this.printId || this.printFrame !== frame ) {
+			urls.forEach( ( url ) => URL.revokeObjectURL( url ) );
+			return;
+		}
+
+		this.printUrls = urls;
+
+		// print() blocks in most browsers; afterprint covers the rest
+		frame.contentWindow.addEventListener( 'afterprint', () => this.removePrintFrame(), { once: true } );
+		frame.contentWindow.focus();
+		frame.contentWindow.print();
+	}
+
+	/**
+	 * Remove the print frame and free its page images
+	 */
+	removePrintFrame() {
+		if ( this.printUrls ) {
+			this.printUrls.forEach( ( url ) => URL.revokeObjectURL( url ) );
+			this.printUrls = null;
+		}
+
+		if ( this.printFrame ) {
+			this.printFrame.remove();
+			this.printFrame = null;
+		}
+	}
+
+	/**
+	 * Get SVG icon by name
+	 *
+	 * @param {string} name - Icon name
+	 * @returns {string} SVG HTML
+	 */
+	getIcon( name ) {
+		const icons = {
+			chevronLeft: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="15 18 9 12 15 6"></polyline></svg>`,
+
+			chevronRight: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="9 18 15 12 9 6"></polyline></svg>`,
+
+			chevronUp: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="18 15 12 9 6 15"></polyline></svg>`,
+
+			chevronDown: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="6 9 12 15 18 9"></polyline></svg>`,
+
+			minus: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+
+			plus: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="12" y1="5" x2="12" y2="19"></line><line x1="5" y1="12" x2="19" y2="12"></line></svg>`,
+
+			download: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path><polyline points="7 10 12 15 17 10"></polyline><line x1="12" y1="15" x2="12" y2="3"></line></svg>`,
+
+			print: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="6 9 6 2 18 2 18 9"></polyline><path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"></path><rect x="6" y="14" width="12" height="8"></rect></svg>`,
+
+			fullscreen: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="15 3 21 3 21 9"></polyline><polyline points="9 21 3 21 3 15"></polyline><line x1="21" y1="3" x2="14" y2="10"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>`,
+
+			exitFullscreen: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="4 14 10 14 10 20"></polyline><polyline points="20 10 14 10 14 4"></polyline><line x1="14" y1="10" x2="21" y2="3"></line><line x1="3" y1="21" x2="10" y2="14"></line></svg>`,
+
+			sidebar: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><line x1="9" y1="3" x2="9" y2="21"></line></svg>`,
+
+			search: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><circle cx="11" cy="11" r="8"></circle><line x1="21" y1="21" x2="16.65" y2="16.65"></line></svg>`,
+
+			rotateCw: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="23 4 23 10 17 10"></polyline><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path></svg>`,
+
+			rotateCcw: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path></svg>`,
+
+			presentation: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect><line x1="8" y1="21" x2="16" y2="21"></line><line x1="12" y1="17" x2="12" y2="21"></line></svg>`,
+
+			pause: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>`,
+
+			play: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>`,
+
+			move: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><polyline points="5 9 2 12 5 15"></polyline><polyline points="9 5 12 2 15 5"></polyline><polyline points="15 19 12 22 9 19"></polyline><polyline points="19 9 22 12 19 15"></polyline><line x1="2" y1="12" x2="22" y2="12"></line><line x1="12" y1="2" x2="12" y2="22"></line></svg>`,
+
+			close: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true" focusable="false"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`,
+
+		};
+
+		return icons[ name ] || '';
+	}
+
+	/**
+	 * Toggle fullscreen mode
+	 */
+	toggleFullscreen() {
+		if ( this.isFullscreen ) {
+			this.exitFullscreen();
+		} else {
+			this.enterFullscreen();
+		}
+	}
+
+	/**
+	 * Enter fullscreen mode
+	 */
+	enterFullscreen() {
+		// Check if already in fullscreen
+		if ( this.isFullscreen ) {
+			return;
+		}
+
+		// Check if fullscreen is available
+		if ( ! document.fullscreenEnabled && 
+			 ! document.webkitFullscreenEnabled && 
+			 ! document.msFullscreenEnabled ) {
+			return;
+		}
+
+		let promise = null;
+
+		try {
+			if ( this.container.requestFullscreen ) {
+				promise = this.container.requestFullscreen();
+			} else if ( this.container.webkitRequestFullscreen ) {
+				promise = this.container.webkitRequestFullscreen();
+			} else if ( this.container.msRequestFullscreen ) {
+				promise = this.container.msRequestFullscreen();
+			}
+
+			// Handle promise rejection silently (browser may reject if not user-initiated)
+			if ( promise && typeof promise.catch === 'function' ) {
+				promise.catch( ( error ) => {
+					// Silently handle rejection - fullscreen may not be available
+					// or may require a direct user interaction in some contexts
+					// Don't log to console to avoid cluttering
+				} );
+			}
+		} catch ( error ) {
+			// Silently handle synchronous errors (e.g., "API can only be initiated by a user gesture")
+			// The fullscreenchange event will still fire if fullscreen succeeds via other means
+			// Suppress console output by not re-throwing or logging
+		}
+	}
+
+	/**
+	 * Exit fullscreen mode
+	 */
+	exitFullscreen() {
+		// Check if not in fullscreen
+		if ( ! this.isFullscreen ) {
+			return;
+		}
+
+		let promise = null;
+
+		try {
+			if ( document.exitFullscreen ) {
+				promise = document.exitFullscreen();
+			} else if ( document.webkitExitFullscreen ) {
+				promise = document.webkitExitFullscreen();
+			} else if ( document.msExitFullscreen ) {
+				promise = document.msExitFullscreen();
+			}
+
+			// Handle promise rejection silently
+			if ( promise && typeof promise.catch === 'function' ) {
+				promise.catch( () => {
+					// Silently handle rejection
+				} );
+			}
+		} catch ( error ) {
+			// Silently handle synchronous errors
+		}
+	}
+
+	/**
+	 * Handle fullscreen change
+	 */
+	handleFullscreenChange() {
+		this.isFullscreen = !! (
+			document.fullscreenElement ||
+			document.webkitFullscreenElement ||
+			document.msFullscreenElement
+		);
+
+		this.container.classList.toggle( CLASSES.fullscreen, this.isFullscreen );
+
+		// Update fullscreen button icon
+		this.updateFullscreenButton();
+
+		this.emit( 'fullscreenchange', { isFullscreen: this.isFullscreen } );
+
+		// Leaving fullscreen (Escape, browser UI) also ends the presentation
+		if ( this.presentation ) {
+			if ( this.isFullscreen ) {
+				this.presentation.fullscreen = true;
+			} else if ( this.presentation.fullscreen ) {
+				this.stopPresentation();
+			}
+		}
+
+		// Re-render at new size
+		setTimeout( () => {
+			this.renderPage( this.currentPage );
+		}, 100 );
+	}
+
+	/**
+	 * Update fullscreen button icon
+	 */
+	updateFullscreenButton() {
+		if ( ! this.fullscreenBtn ) return;
+
+		const icon = this.isFullscreen 
+			? this.getIcon( 'exitFullscreen' )
+			: this.getIcon( 'fullscreen' );
+		
+		const label = this.isFullscreen
+			? ( this.config.i18n.exitFullscreen || 'Exit fullscreen' )
+			: ( this.config.i18n.fullscreen || 'Fullscreen' );
+
+		this.fullscreenBtn.innerHTML = icon;
+		this.fullscreenBtn.setAttribute( 'aria-label', label );
+		this.fullscreenBtn.setAttribute( 'title', label );
+	}
+
+	/**
+	 * Start or end presentation mode
+	 */
+	togglePresentation() {
+		if ( this.presentation ) {
+			this.stopPresentation();
+		} else {
+			this.startPresentation();
+		}
+	}
+
+	/**
+	 * Present the document as slides
+	 *
+	 * Goes fullscreen, fits one page to the screen and hides the toolbar
+	 * until the mouse moves. Clicks, Space and swipes advance; with
+	 * autoAdvance set, pages also advance on a timer. Where fullscreen is
+	 * unavailable the viewer fills the window instead.
+	 */
+	startPresentation() {
+		if ( this.presentation || ! this.pdfDoc ) {
+			return;
+		}
+
+		this.presentation = {
+			zoom: this.getZoomValue(),
+			spread: this.spreadMode,
+			sidebarOpen: !! this.sidebar && ! this.sidebar.hidden,
+			enteredFullscreen: ! this.isFullscreen,
+			fullscreen: this.isFullscreen,
+		};
+
+		this.container.classList.add( CLASSES.presenting );
+
+		if ( this.presentationBtn ) {
+			this.presentationBtn.setAttribute( 'aria-pressed', 'true' );
+		}
+
+		if ( this.autoAdvanceBtn ) {
+			this.autoAdvanceBtn.hidden = false;
+		}
+
+		// Called within the user gesture, as browsers require
+		this.enterFullscreen();
+
+		if ( this.presentation.sidebarOpen ) {
+			this.toggleSidebar( false );
+		}
+
+		this.spreadMode = 'none';
+		this.zoomMode = 'page-fit';
+		this.renderPage( this.currentPage );
+		this.updateZoomLabel();
+
+		this.autoAdvancePaused = false;
+		this.updateAutoAdvanceButton();
+		this.scheduleAutoAdvance();
+		this.showPresentationControls();
+
+		this.emit( 'presentationchange', { isPresenting: true } );
+	}
+
+	/**
+	 * End presentation mode and restore the previous view
+	 */
+	stopPresentation() {
+		const presentation = this.presentation;
+		if ( ! presentation ) {
+			return;
+		}
+
+		this.presentation = null;
+
+		clearTimeout( this.autoAdvanceTimer );
+		clearTimeout( this.controlsTimer );
+		this.toggleOverview( false );
+
+		this.container.classList.remove( CLASSES.presenting, CLASSES.controlsVisible );
+
+		if ( this.presentationBtn ) {
+			this.presentationBtn.setAttribute( 'aria-pressed', 'false' );
+		}
+
+		if ( this.autoAdvanceBtn ) {
+			this.autoAdvanceBtn.hidden = true;
+		}
+
+		if ( presentation.enteredFullscreen ) {
+			this.exitFullscreen();
+		}
+
+		if ( presentation.sidebarOpen ) {
+			this.toggleSidebar( true );
+		}
+
+		this.spreadMode = presentation.spread;
+		this.setZoomMode( presentation.zoom );
+
+		this.emit( 'presentationchange', { isPresenting: false } );
+	}
+
+	/**
+	 * Pause or resume auto-advance while presenting
+	 *
+	 * @returns {boolean} False when there is no auto-advance to pause
+	 */
+	toggleAutoAdvance() {
+		if ( ! this.presentation || ! ( this.config.autoAdvance > 0 ) ) {
+			return false;
+		}
+
+		this.autoAdvancePaused = ! this.autoAdvancePaused;
+		this.updateAutoAdvanceButton();
+		this.scheduleAutoAdvance();
+
+		this.announce( this.autoAdvancePaused
+			? ( this.config.i18n.slideshowPaused || 'Slideshow paused' )
+			: ( this.config.i18n.slideshowResumed || 'Slideshow resumed' ) );
+
+		return true;
+	}
+
+	/**
+	 * Show the pause or resume icon on the auto-advance button
+	 */
+	updateAutoAdvanceButton() {
+		if ( ! this.autoAdvanceBtn ) {
+			return;
+		}
+
+		const label = this.autoAdvancePaused
+			? ( this.config.i18n.resumeSlideshow || 'Resume slideshow' )
+			: ( this.config.i18n.pauseSlideshow || 'Pause slideshow' );
+
+		this.autoAdvanceBtn.innerHTML = this.getIcon( this.autoAdvancePaused ? 'play' : 'pause' );
+		this.autoAdvanceBtn.setAttribute( 'aria-label', label );
+		this.autoAdvanceBtn.setAttribute( 'title', label );
+	}
+
+	/**
+	 * Restart the auto-advance timer for the current page
+	 *
+	 * Any page change restarts it, so each page gets the full interval.
+	 * The slideshow stops on the last page.
+	 */
+	scheduleAutoAdvance() {
+		clearTimeout( this.autoAdvanceTimer );
+		this.autoAdvanceTimer = 0;
+
+		if ( ! this.presentation || this.autoAdvancePaused || this.overviewOpen || ! ( this.config.autoAdvance > 0 ) ) {
+			return;
+		}
+
+		if ( this.currentPage >= this.totalPages ) {
+			return;
+		}
+
+		this.autoAdvanceTimer = setTimeout( () => this.nextPage(), this.config.autoAdvance * 1000 );
+	}
+
+	/**
+	 * Show the toolbar while presenting, until the mouse rests
+	 */
+	showPresentationControls() {
+		if ( ! this.presentation ) {
+			return;
+		}
+
+		this.container.classList.add( CLASSES.controlsVisible );
+		clearTimeout( this.controlsTimer );
+
+		this.controlsTimer = setTimeout( () => {
+			// Keep the controls up while they are hovered or focused
+			if ( this.toolbar && this.toolbar.matches( ':hover, :focus-within' ) ) {
+				this.showPresentationControls();
+				return;
+			}
+
+			this.container.classList.remove( CLASSES.controlsVisible );
+		}, PRESENTATION_CONTROLS_DELAY );
+	}
+
+	/**
+	 * Show or hide the page overview grid while presenting
+	 *
+	 * The overview is the thumbnails panel laid out as a grid over the
+	 * slides, so it shares their lazy rendering.
+	 *
+	 * @param {boolean} [open] - Force open (true) or closed (false)
+	 * @returns {boolean} False when there is no overview to show
+	 */
+	toggleOverview( open ) {
+		const isOpen = typeof open === 'boolean' ? open : ! this.overviewOpen;
+
+		if ( isOpen && ( ! this.presentation || ! this.sidebarPanels.has( 'thumbnails' ) ) ) {
+			return false;
+		}
+
+		if ( isOpen === this.overviewOpen ) {
+			return true;
+		}
+
+		this.overviewOpen = isOpen;
+		this.container.classList.toggle( CLASSES.overviewOpen, isOpen );
+		this.sidebar.hidden = ! isOpen;
+
+		if ( isOpen ) {
+			this.selectSidebarPanel( 'thumbnails' );
+			this.thumbnails[ this.currentPage - 1 ]?.focus( { preventScroll: true } );
+		} else {
+			this.container.focus( { preventScroll: true } );
+		}
+
+		this.scheduleAutoAdvance();
+
+		return true;
+	}
+
+	/**
+	 * Set up event listeners
+	 */
+	setupEventListeners() {
+		const signal = this.abortController.signal;
+
+		// Keyboard navigation - use capture phase to intercept before browser
+		this.container.addEventListener( 
+			'keydown', 
+			( e ) => this.handleKeydown( e ), 
+			{ signal, capture: true } 
+		);
+
+		// Track the most recently used viewer; a click elsewhere on the page lets it go
+		const markUsed = () => {
+			lastUsedViewer = this;
+		};
+
+		this.container.addEventListener( 'focusin', markUsed, { signal } );
+		this.container.addEventListener( 'pointerdown', markUsed, { signal } );
+
+		document.addEventListener( 'pointerdown', ( e ) => {
+			if ( lastUsedViewer === this && ! this.container.contains( e.target ) ) {
+				lastUsedViewer = null;
+			}
+		}, { signal, capture: true } );
+
+		// Keys pressed with nothing focused, e.g. after a toolbar button hid itself
+		document.addEventListener(
+			'keydown',
+			( e ) => {
+				const focused = document.activeElement;
+
+				// Focus anywhere else keeps its keys; focus inside the viewer was handled above
+				if ( focused && focused !== document.body && focused !== document.documentElement ) {
+					return;
+				}
+
+				if ( lastUsedViewer === this && ! e.defaultPrevented && this.isViewerVisible() ) {
+					this.handleKeydown( e );
+				}
+			},
+			{ signal }
+		);
+
+		// Fullscreen change events
+		document.addEventListener( 'fullscreenchange', () => this.handleFullscreenChange(), { signal } );
+		document.addEventListener( 'webkitfullscreenchange', () => this.handleFullscreenChange(), { signal } );
+		document.addEventListener( 'msfullscreenchange', () => this.handleFullscreenChange(), { signal } );
+
+		// Window resize - re-render at new size
+		window.addEventListener( 'resize', () => this.handleResize(), { signal } );
+
+		// Form field edits
+		if ( this.config.enableForms ) {
+			this.canvasContainer.addEventListener( 'input', ( e ) => this.handleFormInput( e ), { signal } );
+			this.canvasContainer.addEventListener( 'change', ( e ) => this.handleFormInput( e ), { signal } );
+		}
+
+		// Pixel density change - re-render at the new resolution
+		this.watchPixelRatio();
+
+		// Continuous mode - render pages as they scroll into view
+		if ( this.isContinuous() ) {
+			this.canvasContainer.addEventListener( 'scroll', () => this.handleScroll(), { signal, passive: true } );
+		}
+
+		// Reading position - remember where the reader is, and save before leaving
+		this.canvasContainer.addEventListener( 'scroll', () => this.schedulePositionSave(), { signal, passive: true } );
+		window.addEventListener( 'pagehide', () => this.savePosition(), { signal } );
+
+		// Mouse wheel zoom
+		this.container.addEventListener( 'wheel', ( e ) => this.handleWheel( e ), { signal, passive: false } );
+
+		// Touch events for mobile
+		this.setupTouchEvents();
+
+		// Hand tool dragging
+		this.setupPanning();
+
+		// Presentation: click to advance, show the controls when the pointer moves or taps
+		this.canvasContainer.addEventListener( 'click', ( e ) => {
+			const selection = window.getSelection();
+
+			if ( ! this.presentation || e.target.closest( 'a, button, input, select, textarea' ) ) {
+				return;
+			}
+
+			// Finishing a text selection is not a click on the slide
+			if ( selection && ! selection.isCollapsed ) {
+				return;
+			}
+
+			this.nextPage();
+		}, { signal } );
+
+		this.container.addEventListener( 'pointermove', () => this.showPresentationControls(), { signal, passive: true } );
+		this.container.addEventListener( 'pointerdown', () => this.showPresentationControls(), { signal, passive: true } );
+	}
+
+	/**
+	 * Handle keyboard events
+	 *
+	 * Keys are looked up in the shortcut map; Escape always closes search.
+	 *
+	 * @param {KeyboardEvent} e - Keyboard event
+	 */
+	handleKeydown( e ) {
+		// Don't handle if focus is in input field
+		if ( e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT' ) {
+			return;
+		}
+
+		// Escape leaves the overview, and presenting without fullscreen
+		if ( e.key === 'Escape' && this.presentation ) {
+			if ( this.overviewOpen ) {
+				this.toggleOverview( false );
+				e.preventDefault();
+				return;
+			}
+
+			if ( ! this.isFullscreen ) {
+				this.stopPresentation();
+				return;
+			}
+		}
+
+		// The sidebar handles its own keys
+		if ( this.sidebar && this.sidebar.contains( e.target ) ) {
+			return;
+		}
+
+		if ( e.key === 'Escape' ) {
+			// Let browser handle Escape for exiting fullscreen
+			// We just track the state change via fullscreenchange event
+			if ( this.searchBar && ! this.searchBar.hidden ) {
+				this.closeSearch();
+			}
+			return;
+		}
+
+		const action = this.shortcuts.get( this.getEventShortcut( e ) );
+
+		if ( action && this.runShortcut( action, e ) !== false ) {
+			// Handled here, so the browser doesn't scroll, save or print as well
+			e.preventDefault();
+			e.stopPropagation();
+		}
+	}
+
+	/**
+	 * Run a keyboard shortcut action
+	 *
+	 * @param {string} action - Action name from the shortcut map
+	 * @param {KeyboardEvent} e - Keyboard event
+	 * @returns {boolean|undefined} False when the key was left to the browser
+	 */
+	runShortcut( action, e ) {
+		switch ( action ) {
+			case 'prevPage':
+				this.prevPage();
+				break;
+
+			case 'nextPage':
+				this.nextPage();
+				break;
+
+			case 'firstPage':
+				this.goToPage( 1 );
+				break;
+
+			case 'lastPage':
+				this.goToPage( this.totalPages );
+				break;
+
+			case 'zoomIn':
+				this.zoomIn();
+				break;
+
+			case 'zoomOut':
+				this.zoomOut();
+				break;
+
+			case 'zoomReset':
+				this.zoomAt( this.config.zoom ); // Reset to the initial zoom
+				break;
+
+			case 'rotateCw':
+				this.rotate( 90 );
+				break;
+
+			case 'rotateCcw':
+				this.rotate( -90 );
+				break;
+
+			case 'handTool':
+				this.setHandTool( ! this.handTool );
+				break;
+
+			case 'presentation':
+				this.togglePresentation();
+				break;
+
+			case 'autoAdvance':
+				return this.toggleAutoAdvance();
+
+			case 'overview':
+				return this.toggleOverview();
+
+			case 'fullscreen':
+				// Call fullscreen directly within the user gesture event handler
+				// to ensure it's recognized as a user-initiated action
+				this.toggleFullscreen();
+				break;
+
+			case 'find':
+				// Only while the viewer has focus; otherwise leave browser find alone
+				if ( ! this.searchBar || ! this.container.contains( e.target ) ) {
+					return false;
+				}
+				this.openSearch();
+				break;
+
+			case 'download':
+				this.download();
+				break;
+
+			case 'print':
+				this.print();
+				break;
+
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Build the key combination lookup from the default and configured shortcuts
+	 *
+	 * Configured actions replace the default keys for that action; `false`
+	 * or an empty list turns the action off.
+	 *
+	 * @param {Object<string, string|string[]|false>} overrides - Keys by action
+	 * @returns {Map<string, string>} Action by normalized key combination
+	 */
+	getShortcutMap( overrides ) {
+		const bindings = { ...DEFAULT_SHORTCUTS, ...( overrides || {} ) };
+		const map = new Map();
+
+		Object.entries( bindings ).forEach( ( [ action, keys ] ) => {
+			if ( ! keys ) {
+				return;
+			}
+
+			( Array.isArray( keys ) ? keys : [ keys ] ).forEach( ( combo ) => {
+				const shortcut = this.normalizeShortcut( String( combo ) );
+				if ( shortcut ) {
+					map.set( shortcut, action );
+				}
+			} );
+		} );
+
+		return map;
+	}
+
+	/**
+	 * Normalize a key combination such as `ctrl+shift+r` to `Ctrl+Shift+R`
+	 *
+	 * @param {string} combo - Key combination
+	 * @returns {string} Normalized combination, empty if it names no key
+	 */
+	normalizeShortcut( combo ) {
+		// A trailing "+" is the plus key itself, as in Ctrl++
+		const parts = combo.endsWith( '+' ) ? [ ...combo.slice( 0, -1 ).split( '+' ).slice( 0, -1 ), '+' ] : combo.split( '+' );
+		const key = parts.pop().trim();
+		const modifiers = parts.map( ( part ) => part.trim().toLowerCase() );
+
+		return this.formatShortcut( {
+			ctrl: modifiers.some( ( part ) => [ 'ctrl', 'cmd', 'meta', 'control' ].includes( part ) ),
+			alt: modifiers.some( ( part ) => [ 'alt', 'option' ].includes( part ) ),
+			shift: modifiers.includes( 'shift' ),
+			key: key === ' ' ? 'Space' : key,
+		} );
+	}
+
+	/**
+	 * Get the key combination a keyboard event represents
+	 *
+	 * @param {KeyboardEvent} e - Keyboard event
+	 * @returns {string} Normalized combination
+	 */
+	getEventShortcut( e ) {
+		const ctrl = e.ctrlKey || e.metaKey;
+		let key = e.key === ' ' ? 'Space' : e.key;
+
+		// With Ctrl/Cmd, e.key varies by layout and platform; go by position
+		if ( ctrl ) {
+			if ( SHORTCUT_CODES[ e.code ] ) {
+				key = SHORTCUT_CODES[ e.code ];
+			} else if ( /^(Key|Digit|Numpad)[A-Z0-9]$/.test( e.code ) ) {
+				key = e.code.slice( -1 );
+			}
+		}
+
+		return this.formatShortcut( { ctrl, alt: e.altKey, shift: e.shiftKey, key } );
+	}
+
+	/**
+	 * Write a key combination in its normalized form
+	 *
+	 * @param {Object} shortcut - Modifier flags and key name
+	 * @param {boolean} shortcut.ctrl - Ctrl or Cmd held
+	 * @param {boolean} shortcut.alt - Alt held
+	 * @param {boolean} shortcut.shift - Shift held
+	 * @param {string} shortcut.key - Key name
+	 * @returns {string} Normalized combination
+	 */
+	formatShortcut( { ctrl, alt, shift, key } ) {
+		if ( ! key ) {
+			return '';
+		}
+
+		const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+
+		return [
+			ctrl && 'Ctrl',
+			alt && 'Alt',
+			shift && ! isSymbol && 'Shift',
+			key.length === 1 ? key.toUpperCase() : key,
+		].filter( Boolean ).join( '+' );
+	}
+
+	/**
+	 * Check if viewer is visible in viewport
+	 *
+	 * @returns {boolean} True if viewer is visible
+	 */
+	isViewerVisible() {
+		const rect = this.container.getBoundingClientRect();
+		const windowHeight = window.innerHeight || document.documentElement.clientHeight;
+		const windowWidth = window.innerWidth || document.documentElement.clientWidth;
+
+		// Check if at least 50% of the viewer is visible
+		const verticalVisible = rect.top < windowHeight && rect.bottom > 0;
+		const horizontalVisible = rect.left < windowWidth && rect.right > 0;
+
+		return verticalVisible && horizontalVisible;
+	}
+
+	/**
+	 * Handle window resize
+	 */
+	handleResize() {
+		// Created once so bursts of resize events share one timer
+		if ( ! this.debouncedResize ) {
+			this.debouncedResize = this.debounce( () => {
+				this.renderPage( this.currentPage );
+			}, 250 );
+		}
+
+		this.debouncedResize();
+	}
+
+	/**
+	 * Handle mouse wheel for zoom
+	 *
+	 * @param {WheelEvent} e - Wheel event
+	 */
+	handleWheel( e ) {
+		// Only zoom if Ctrl/Cmd key is held
+		if ( ! ( e.ctrlKey || e.metaKey ) ) {
+			return;
+		}
+
+		e.preventDefault();
+
+		// Keep the point under the cursor in place
+		if ( e.deltaY < 0 ) {
+			this.zoomIn( e.clientX, e.clientY );
+		} else if ( e.deltaY > 0 ) {
+			this.zoomOut( e.clientX, e.clientY );
+		}
+	}
+
+	/**
+	 * Set up touch events for mobile navigation and zoom
+	 *
+	 * A pinch scales the rendered pages with a CSS transform around the
+	 * fingers and renders once, sharply, when it ends. Double-tap zooms
+	 * in around the tapped point, or back out to the initial fit.
+	 */
+	setupTouchEvents() {
+		const signal = this.abortController.signal;
+
+		let pinch = null;
+		let lastTap = null;
+		let touchStartX = 0;
+		let touchStartY = 0;
+		let touchStartTime = 0;
+
+		const getMidpoint = ( touches ) => ( {
+			x: ( touches[ 0 ].clientX + touches[ 1 ].clientX ) / 2,
+			y: ( touches[ 0 ].clientY + touches[ 1 ].clientY ) / 2,
+			distance: Math.hypot(
+				touches[ 1 ].clientX - touches[ 0 ].clientX,
+				touches[ 1 ].clientY - touches[ 0 ].clientY
+			),
+		} );
+
+		// Handle touch start
+		this.container.addEventListener( 'touchstart', ( e ) => {
+			if ( e.touches.length === 2 ) {
+				const target = this.getZoomTarget();
+				const start = getMidpoint( e.touches );
+
+				if ( ! target || ! start.distance ) {
 					return;
+				}
+
+				// Pinch zoom: the transform origin is the start midpoint in the pages' own box
+				const rect = target.getBoundingClientRect();
+
+				pinch = {
+					target,
+					start,
+					current: start,
+					originX: start.x - rect.left,
+					originY: start.y - rect.top,
+					anchor: this.getZoomAnchor( start.x, start.y ),
+					scale: this.scale,
+					factor: 1,
+				};
+
+				this.container.classList.add( CLASSES.pinching );
+			} else if ( e.touches.length === 1 ) {
+				// Single touch for swipe
+				touchStartX = e.touches[ 0 ].clientX;
+				touchStartY = e.touches[ 0 ].clientY;
+				touchStartTime = Date.now();
+			}
+		}, { signal, passive: true } );
+
+		// Handle touch move
+		this.container.addEventListener( 'touchmove', ( e ) => {
+			if ( e.touches.length !== 2 || ! pinch ) {
+				return;
+			}
+
+			// Pinch zoom: preview only, nothing is rendered until the fingers lift
+			e.preventDefault();
+
+			const current = getMidpoint( e.touches );
+			const scale = this.clampScale( pinch.scale * current.distance / pinch.start.distance );
+
+			pinch.current = current;
+			pinch.factor = scale / pinch.scale;
+
+			pinch.target.style.transformOrigin = pinch.originX + 'px ' + pinch.originY + 'px';
+			pinch.target.style.transform = 'translate(' + ( current.x - pinch.start.x ) + 'px, ' + ( current.y - pinch.start.y ) + 'px) scale(' + pinch.factor + ')';
+		}, { signal, passive: false } );
+
+		// Handle touch end
+		const handleTouchEnd = ( e ) => {
+			if ( pinch ) {
+				// Wait for every finger to lift, so the last one doesn't count as a swipe or tap
+				if ( e.touches.length === 0 ) {
+					const { target, anchor, current, scale, factor } = pinch;
+
+					pinch = null;
+					lastTap = null;
+					this.container.classList.remove( CLASSES.pinching );
+
+					// Two fingers that barely spread keep the current zoom mode
+					if ( Math.abs( factor - 1 ) < 0.02 ) {
+						target.style.transform = '';
+						target.style.transformOrigin = '';
+						return;
+					}
+
+					// The preview stays until the sharp render replaces it
+					this.zoomAt( scale * factor, current.x, current.y, anchor );
+				}
+				return;
+			}
+
+			if ( e.changedTouches.length !== 1 || e.touches.length !== 0 ) {
+				return;
+			}
+
+			const touch = e.changedTouches[ 0 ];
+			const deltaX = touch.clientX - touchStartX;
+			const deltaY = touch.clientY - touchStartY;
+			const deltaTime = Date.now() - touchStartTime;
+
+			// Swipe detection: horizontal movement > 50px and < 300ms. Zoomed
+			// pages pan natively, so a swipe only turns the page at their edge.
+			const { scrollLeft, scrollWidth, clientWidth } = this.canvasContainer;
+			const atEdge = deltaX > 0 ? scrollLeft <= 1 : scrollLeft + clientWidth >= scrollWidth - 1;
+
+			if ( Math.abs( deltaX ) > 50 && Math.abs( deltaY ) < 50 && deltaTime < 300 && atEdge ) {
+				lastTap = null;
+
+				if ( deltaX > 0 ) {
+					this.prevPage();
+				} else {
+					this.nextPage();
+				}
+				return;
+			}
+
+			// Tap: barely moved; a second one soon after, close by, is a double-tap
+			if ( Math.hypot( deltaX, deltaY ) > 10 || deltaTime > DOUBLE_TAP_DELAY ) {
+				lastTap = null;
+				return;
+			}
+
+			const now = Date.now();
+
+			if ( lastTap && now - lastTap.time <= DOUBLE_TAP_DELAY && Math.hypot( touch.clientX - lastTap.x, touch.clientY - lastTap.y ) <= DOUBLE_TAP_DISTANCE ) {
+				lastTap = null;
+				this.handleDoubleTap( touch.clientX, touch.clientY );
+				return;
+			}
+
+			lastTap = { x: touch.clientX, y: touch.clientY, time: now };
+		};
+
+		this.container.addEventListener( 'touchend', handleTouchEnd, { signal, passive: true } );
+		this.container.addEventListener( 'touchcancel', handleTouchEnd, { signal, passive: true } );
+	}
+
+	/**
+	 * Zoom in around a double-tapped point, or back out to the initial fit
+	 *
+	 * @param {number} clientX - Tapped point, viewport X
+	 * @param {number} clientY - Tapped point, viewport Y
+	 */
+	handleDoubleTap( clientX, clientY ) {
+		// Taps advance slides while presenting
+		if ( this.presentation ) {
+			return;
+		}
+
+		if ( this.zoomMode === 'custom' ) {
+			this.zoomAt( ZOOM_MODES.includes( this.config.zoom ) ? this.config.zoom : 'page-width', clientX, clientY );
+		} else {
+			this.zoomAt( this.scale * 2, clientX, clientY );
+		}
+	}
+
+	/**
+	 * Get the element holding the pages, which pinch previews scale
+	 *
+	 * @returns {HTMLElement|null} Pages container or spread wrapper
+	 */
+	getZoomTarget() {
+		return this.isContinuous() ? this.pagesContainer : this.pageView?.element.parentNode || null;
+	}
+
+	/**
+	 * Remember which point of which page is under a screen position
+	 *
+	 * @param {number} clientX - Viewport X
+	 * @param {number} clientY - Viewport Y
+	 * @returns {{element: HTMLElement, x: number, y: number}|null} Element and position as fractions of its size
+	 */
+	getZoomAnchor( clientX, clientY ) {
+		const hit = document.elementFromPoint( clientX, clientY )?.closest( '.' + CLASSES.page );
+		const element = hit && this.canvasContainer.contains( hit ) ? hit : this.getZoomTarget();
+		const rect = element?.getBoundingClientRect();
+
+		if ( ! rect || ! rect.width || ! rect.height ) {
+			return null;
+		}
+
+		return {
+			element,
+			x: ( clientX - rect.left ) / rect.width,
+			y: ( clientY - rect.top ) / rect.height,
+		};
+	}
+
+	/**
+	 * Zoom while keeping a point of the page under a screen position
+	 *
+	 * Clears a pinch preview transform in the same frame as the scroll
+	 * correction, so the page doesn't jump. Continuous mode does both as
+	 * soon as the placeholders are resized, since they stretch the old
+	 * canvases to the new size; single mode waits for the new render.
+	 *
+	 * @param {number|string} zoom - Scale (1 = actual size), or anything setZoomMode() accepts
+	 * @param {number} [clientX] - Viewport X the point should end up at; the view center if omitted
+	 * @param {number} [clientY] - Viewport Y the point should end up at
+	 * @param {Object|null} [anchor] - Point from getZoomAnchor(), taken at clientX/clientY if omitted
+	 * @returns {Promise<void>} Resolves once the page is rendered and scrolled
+	 */
+	async zoomAt( zoom, clientX, clientY, anchor ) {
+		if ( typeof clientX !== 'number' || typeof clientY !== 'number' ) {
+			const rect = this.canvasContainer.getBoundingClientRect();
+
+			clientX = rect.left + rect.width / 2;
+			clientY = rect.top + rect.height / 2;
+		}
+
+		const target = this.getZoomTarget();
+		const settleOnLayout = this.isContinuous();
+		const settle = {
+			target,
+			anchor: anchor === undefined ? this.getZoomAnchor( clientX, clientY ) : anchor,
+			clientX,
+			clientY,
+		};
+
+		// Picked up by renderContinuous() right after the layout, which runs before the first await
+		if ( settleOnLayout ) {
+			this.zoomSettle = settle;
+		}
+
+		const rendered = typeof zoom === 'number' ? this.setZoom( zoom ) : this.setZoomMode( zoom );
+		this.zoomSettle = null;
+
+		await rendered;
+
+		// Destroyed, already settled, or a new pinch took over the preview
+		if ( ! this.canvasContainer || settleOnLayout || this.container.classList.contains( CLASSES.pinching ) ) {
+			return;
+		}
+
+		this.settleZoom( settle );
+	}
+
+	/**
+	 * Clear a pinch preview and scroll a zoom's anchor point back under its screen position
+	 *
+	 * @param {Object} settle - Zoom target, anchor from getZoomAnchor() and the screen position
+	 */
+	settleZoom( { target, anchor, clientX, clientY } ) {
+		if ( target ) {
+			target.style.transform = '';
+			target.style.transformOrigin = '';
+		}
+
+		if ( ! anchor || ! anchor.element.isConnected ) {
+			return;
+		}
+
+		const rect = anchor.element.getBoundingClientRect();
+
+		this.canvasContainer.scrollLeft += rect.left + anchor.x * rect.width - clientX;
+		this.canvasContainer.scrollTop += rect.top + anchor.y * rect.height - clientY;
+	}
+
+	/**
+	 * Turn the hand tool on or off
+	 *
+	 * @param {boolean} enabled - Drag with the mouse to pan instead of selecting text
+	 */
+	setHandTool( enabled ) {
+		this.handTool = Boolean( enabled );
+		this.container.classList.toggle( CLASSES.handTool, this.handTool );
+
+		if ( this.handToolBtn ) {
+			this.handToolBtn.setAttribute( 'aria-pressed', String( this.handTool ) );
+		}
+	}
+
+	/**
+	 * Pan zoomed pages by dragging with the mouse while the hand tool is on
+	 *
+	 * Touch pans natively; links and form fields keep their clicks.
+	 */
+	setupPanning() {
+		const signal = this.abortController.signal;
+		let pan = null;
+
+		this.canvasContainer.addEventListener( 'pointerdown', ( e ) => {
+			const { scrollWidth, scrollHeight, clientWidth, clientHeight } = this.canvasContainer;
+
+			if ( ! this.handTool || e.pointerType === 'touch' || e.button !== 0 ) {
+				return;
+			}
+
+			if ( e.target.closest( 'a, button, input, select, textarea' ) ) {
+				return;
+			}
+
+			// Nothing to pan
+			if ( scrollWidth <= clientWidth && scrollHeight <= clientHeight ) {
+				return;
+			}
+
+			e.preventDefault();
+
+			pan = {
+				pointerId: e.pointerId,
+				x: e.clientX,
+				y: e.clientY,
+				scrollLeft: this.canvasContainer.scrollLeft,
+				scrollTop: this.canvasContainer.scrollTop,
+			};
+
+			this.canvasContainer.setPointerCapture( e.pointerId );
+			this.container.classList.add( CLASSES.panning );
+		}, { signal } );
+
+		this.canvasContainer.addEventListener( 'pointermove', ( e ) => {
+			if ( ! pan || e.pointerId !== pan.pointerId ) {
+				return;
+			}
+
+			this.canvasContainer.scrollLeft = pan.scrollLeft - ( e.clientX - pan.x );
+			this.canvasContainer.scrollTop = pan.scrollTop - ( e.clientY - pan.y );
+		}, { signal } );
+
+		const endPan = ( e ) => {
+			if ( ! pan || e.pointerId !== pan.pointerId ) {
+				return;
+			}
+
+			pan = null;
+			this.container.classList.remove( CLASSES.panning );
+		};
+
+		this.canvasContainer.addEventListener( 'pointerup', endPan, { signal } );
+		this.canvasContainer.addEventListener( 'pointercancel', endPan, { signal } );
+	}
+
+	/**
+	 * Limit a scale to the supported zoom range
+	 *
+	 * @param {number} scale - Scale, 1 = actual size
+	 * @returns {number} Scale from 0.25 to 4
+	 */
+	clampScale( scale ) {
+		return Math.max( ZOOM_LEVELS[ 0 ], Math.min( ZOOM_LEVELS[ ZOOM_LEVELS.length - 1 ], scale ) );
+	}
+
+	/**
+	 * Update toolbar page info
+	 */
+	updateToolbarPageInfo() {
+		if ( this.pageInput ) {
+			this.pageInput.value = String( this.currentPage );
+			this.pageInput.max = String( this.totalPages );
+		}
+
+		if ( this.totalPagesSpan ) {
+			this.totalPagesSpan.textContent = String( this.totalPages );
+		}
+
+		if ( this.pageRangeSpan ) {
+			const pages = this.getSpreadPages( this.currentPage );
+
+			this.pageRangeSpan.hidden = pages.length < 2;
+			this.pageRangeSpan.textContent = pages.length < 2 ? '' : '–' + pages[ 1 ];
+		}
+
+		// Update button states
+		this.updateNavigationButtons();
+
+		this.updateThumbnailSelection();
+
+		if ( this.emittedPage && this.emittedPage !== this.currentPage ) {
+			const previousPage = this.emittedPage;
+			this.emittedPage = this.currentPage;
+
+			this.emit( 'pagechange', {
+				pageNumber: this.currentPage,
+				previousPage,
+				pageCount: this.totalPages,
+			} );
+
+			// Moving on answers the resume offer; until then the saved position is kept
+			this.removeResumePrompt();
+
+			this.updateDeepLink();
+			this.schedulePositionSave();
+			this.announcePage();
+
+			// Each slide gets the full auto-advance interval
+			this.scheduleAutoAdvance();
+		}
+	}
+
+	/**
+	 * Update navigation button states
+	 */
+	updateNavigationButtons() {
+		const prevBtn = this.toolbar?.querySelector( '[data-action="prev"]' );
+		const nextBtn = this.toolbar?.querySelector( '[data-action="next"]' );
+
+		if ( prevBtn ) {
+			prevBtn.disabled = this.currentPage <= 1;
+		}
+
+		if ( nextBtn ) {
+			const pages = this.getSpreadPages( this.currentPage );
+			nextBtn.disabled = pages[ pages.length - 1 ] >= this.totalPages;
+		}
+	}
+
+	/**
+	 * Update zoom label
+	 */
+	updateZoomLabel() {
+		if ( this.zoomLabel && document.activeElement !== this.zoomLabel ) {
+			this.zoomLabel.value = Math.round( this.scale * 100 ) + '%';
+		}
+
+		// Select the mode, the matching level, or the hidden custom entry
+		if ( this.zoomSelect ) {
+			const level = String( Math.round( this.scale * 10000 ) / 100 );
+			const hasLevel = ZOOM_LEVELS.some( ( z ) => String( z * 100 ) === level );
+
+			if ( this.zoomMode !== 'custom' ) {
+				this.zoomSelect.value = this.zoomMode;
+			} else {
+				this.zoomSelect.value = hasLevel ? level : 'custom';
+			}
+		}
+
+		// Update button states
+		const zoomOutBtn = this.toolbar?.querySelector( '[data-action="zoomOut"]' );
+		const zoomInBtn = this.toolbar?.querySelector( '[data-action="zoomIn"]' );
+
+		if ( zoomOutBtn ) {
+			zoomOutBtn.disabled = this.scale <= ZOOM_LEVELS[ 0 ] + 0.001;
+		}
+
+		if ( zoomInBtn ) {
+			zoomInBtn.disabled = this.scale >= ZOOM_LEVELS[ ZOOM_LEVELS.length - 1 ] - 0.001;
+		}
+
+		if ( this.emittedZoom && this.emittedZoom !== this.getZoomKey() ) {
+			this.emittedZoom = this.getZoomKey();
+
+			this.emit( 'zoomchange', {
+				scale: this.scale,
+				mode: this.zoomMode,
+			} );
+
+			this.updateDeepLink();
+			this.schedulePositionSave();
+			this.announceZoom();
+		}
+	}
+
+	/**
+	 * Announce the current page, or both pages of a spread
+	 */
+	announcePage() {
+		const pages = this.getSpreadPages( this.currentPage );
 
-				case 'KeyP':       // P key
-					e.preventDefault();
-					e.stopPropagation();
-					this.print();
-					return;
-			}
+		if ( pages.length > 1 ) {
+			this.announce( this.formatMessage( this.config.i18n.spreadAnnouncement || 'Pages %1$d and %2$d of %3$d', pages[ 0 ], pages[ 1 ], this.totalPages ) );
+		} else {
+			this.announce( this.formatMessage( this.config.i18n.pageAnnouncement || 'Page %1$d of %2$d', this.currentPage, this.totalPages ) );
 		}
+	}
 
-		// Handle non-modifier keys
-		switch ( key ) {
-			case 'ArrowLeft':
-				e.preventDefault();
-				this.prevPage();
-				break;
+	/**
+	 * Announce the zoom mode, or the percentage for custom zoom
+	 */
+	announceZoom() {
+		const modes = {
+			'page-fit': this.config.i18n.pageFit || 'Page fit',
+			'page-width': this.config.i18n.pageWidth || 'Page width',
+			'page-actual': this.config.i18n.actualSize || 'Actual size',
+		};
+		const zoom = modes[ this.zoomMode ] || Math.round( this.scale * 100 ) + '%';
 
-			case 'ArrowRight':
-				e.preventDefault();
-				this.nextPage();
-				break;
+		this.announce( this.formatMessage( this.config.i18n.zoomAnnouncement || 'Zoom %1$s', zoom ) );
+	}
 
-			case 'ArrowUp':
-				e.preventDefault();
-				this.prevPage();
-				break;
+	/**
+	 * Write the current page and zoom into the URL fragment
+	 *
+	 * Uses history.replaceState so page turns don't pile up history
+	 * entries. With several viewers on a page, a viewer only takes over
+	 * an empty fragment, its own deep link, or another viewer's deep link
+	 * while it has focus; other fragments belong to the page and are
+	 * left alone.
+	 */
+	updateDeepLink() {
+		const key = this.config.deepLinkKey;
+		if ( ! key || ! window.history?.replaceState ) {
+			return;
+		}
 
-			case 'ArrowDown':
-				e.preventDefault();
-				this.nextPage();
-				break;
+		const hash = window.location.hash;
+		const ownHash = '#mdpv-' + encodeURIComponent( key );
+		const isOwn = hash === ownHash || hash.startsWith( ownHash + ':' );
+		const isOtherViewer = ! isOwn && hash.startsWith( '#mdpv-' ) && this.container.contains( document.activeElement );
 
-			case 'PageUp':
-				e.preventDefault();
-				this.prevPage();
-				break;
+		if ( hash && ! isOwn && ! isOtherViewer ) {
+			return;
+		}
 
-			case 'PageDown':
-				e.preventDefault();
-				this.nextPage();
-				break;
+		const url = window.location.pathname + window.location.search + ownHash +
+			':page=' + this.currentPage + '&zoom=' + this.getZoomValue();
 
-			case ' ': // Space bar
-				e.preventDefault();
-				this.nextPage();
-				break;
+		window.history.replaceState( window.history.state, '', url );
+	}
 
-			case 'Home':
-				e.preventDefault();
-				this.goToPage( 1 );
-				break;
+	/**
+	 * Get a key that changes whenever the zoom level or mode does
+	 *
+	 * @returns {string} Zoom key
+	 */
+	getZoomKey() {
+		return this.zoomMode + ':' + this.scale;
+	}
 
-			case 'End':
-				e.preventDefault();
-				this.goToPage( this.totalPages );
-				break;
+	/**
+	 * Get the zoom as setZoomMode() accepts it
+	 *
+	 * @returns {string|number} Zoom mode, or a percentage for custom zoom
+	 */
+	getZoomValue() {
+		return this.zoomMode === 'custom' ? Math.round( this.scale * 100 ) : this.zoomMode;
+	}
 
-			case 'f':
-			case 'F':
-				// Only if not combined with Ctrl/Cmd (Ctrl+F is browser find)
-				if ( ! ctrlOrCmd ) {
-					e.preventDefault();
-					e.stopPropagation();
-					// Call fullscreen directly within the user gesture event handler
-					// to ensure it's recognized as a user-initiated action
-					this.toggleFullscreen();
-				}
-				break;
+	/**
+	 * Get the key reading positions are stored under
+	 *
+	 * @returns {string} Attachment ID, or the URL for PDFs outside the media library
+	 */
+	getPositionKey() {
+		return this.config.pdfId ? 'id:' + this.config.pdfId : 'url:' + this.config.pdfUrl;
+	}
 
-			case 'Escape':
-				// Let browser handle Escape for exiting fullscreen
-				// We just track the state change via fullscreenchange event
-				break;
+	/**
+	 * Read all saved reading positions
+	 *
+	 * @returns {Object} Positions keyed by getPositionKey()
+	 */
+	readPositions() {
+		try {
+			const positions = JSON.parse( window.localStorage.getItem( POSITIONS_STORAGE_KEY ) );
+			return positions && typeof positions === 'object' ? positions : {};
+		} catch ( error ) {
+			return {};
 		}
 	}
 
 	/**
-	 * Check if viewer is visible in viewport
+	 * Get this document's saved reading position, unless expired
 	 *
-	 * @returns {boolean} True if viewer is visible
+	 * @returns {Object|null} Position with page, zoom, top and left, or null
 	 */
-	isViewerVisible() {
-		const rect = this.container.getBoundingClientRect();
-		const windowHeight = window.innerHeight || document.documentElement.clientHeight;
-		const windowWidth = window.innerWidth || document.documentElement.clientWidth;
+	getSavedPosition() {
+		const position = this.readPositions()[ this.getPositionKey() ];
 
-		// Check if at least 50% of the viewer is visible
-		const verticalVisible = rect.top < windowHeight && rect.bottom > 0;
-		const horizontalVisible = rect.left < windowWidth && rect.right > 0;
+		if ( ! position || ! ( Date.now() - position.time <= POSITION_MAX_AGE ) ) {
+			return null;
+		}
 
-		return verticalVisible && horizontalVisible;
+		return position;
 	}
 
 	/**
-	 * Handle window resize
+	 * Get the scroll offset within the current page
+	 *
+	 * Stored as fractions of the page size so it survives zoom and viewer size changes.
+	 *
+	 * @returns {{top: number, left: number}} Offsets from 0 to 1
 	 */
-	handleResize() {
-		const debouncedResize = this.debounce( () => {
-			if ( ! this.isRendering ) {
-				this.renderPage( this.currentPage );
-			}
-		}, 250 );
+	getPageScrollOffset() {
+		const element = this.isContinuous() ? this.pageViews[ this.currentPage - 1 ]?.element : this.pageView?.element;
+
+		if ( ! element || ! element.offsetHeight || ! element.offsetWidth ) {
+			return { top: 0, left: 0 };
+		}
+
+		const { scrollTop, scrollLeft } = this.canvasContainer;
+		const clamp = ( value ) => Math.round( Math.max( 0, Math.min( 1, value ) ) * 10000 ) / 10000;
 
-		debouncedResize();
+		return {
+			top: clamp( ( scrollTop - element.offsetTop ) / element.offsetHeight ),
+			left: clamp( ( scrollLeft - element.offsetLeft ) / element.offsetWidth ),
+		};
 	}
 
 	/**
-	 * Handle mouse wheel for zoom
-	 *
-	 * @param {WheelEvent} e - Wheel event
+	 * Save the reading position shortly after the reader stops moving
 	 */
-	handleWheel( e ) {
-		// Only zoom if Ctrl/Cmd key is held
-		if ( ! ( e.ctrlKey || e.metaKey ) ) {
+	schedulePositionSave() {
+		// Keep the saved position until the reader answers the resume offer
+		if ( this.resumeMode === 'off' || this.resumePrompt ) {
 			return;
 		}
 
-		e.preventDefault();
+		this.positionDirty = true;
 
-		if ( e.deltaY < 0 ) {
-			this.zoomIn();
-		} else if ( e.deltaY > 0 ) {
-			this.zoomOut();
+		// Created once so scrolling saves once it settles
+		if ( ! this.debouncedSavePosition ) {
+			this.debouncedSavePosition = this.debounce( () => this.savePosition(), 500 );
 		}
+
+		this.debouncedSavePosition();
 	}
 
 	/**
-	 * Set up touch events for mobile navigation and zoom
+	 * Save the reading position if the reader moved
+	 *
+	 * Also drops expired entries and keeps only the most recent documents.
 	 */
-	setupTouchEvents() {
-		const signal = this.abortController.signal;
+	savePosition() {
+		if ( ! this.positionDirty || ! this.pdfDoc || ! this.canvasContainer ) {
+			return;
+		}
 
-		let touchStartDistance = 0;
-		let touchStartScale = this.scale;
-		let lastTouchTime = 0;
-		let touchStartX = 0;
-		let touchStartY = 0;
+		this.positionDirty = false;
 
-		// Handle touch start
-		this.container.addEventListener( 'touchstart', ( e ) => {
-			if ( e.touches.length === 2 ) {
-				// Pinch zoom
-				const touch1 = e.touches[ 0 ];
-				const touch2 = e.touches[ 1 ];
-				touchStartDistance = Math.hypot(
-					touch2.clientX - touch1.clientX,
-					touch2.clientY - touch1.clientY
-				);
-				touchStartScale = this.scale;
-			} else if ( e.touches.length === 1 ) {
-				// Single touch for swipe
-				touchStartX = e.touches[ 0 ].clientX;
-				touchStartY = e.touches[ 0 ].clientY;
-				lastTouchTime = Date.now();
-			}
-		}, { signal, passive: true } );
+		const now = Date.now();
+		const positions = this.readPositions();
 
-		// Handle touch move
-		this.container.addEventListener( 'touchmove', ( e ) => {
-			if ( e.touches.length === 2 ) {
-				// Pinch zoom
-				e.preventDefault();
-				const touch1 = e.touches[ 0 ];
-				const touch2 = e.touches[ 1 ];
-				const currentDistance = Math.hypot(
-					touch2.clientX - touch1.clientX,
-					touch2.clientY - touch1.clientY
-				);
+		positions[ this.getPositionKey() ] = {
+			page: this.currentPage,
+			zoom: this.getZoomValue(),
+			...this.getPageScrollOffset(),
+			time: now,
+		};
 
-				const scaleChange = currentDistance / touchStartDistance;
-				const newScale = touchStartScale * scaleChange;
-				this.setZoom( newScale );
-			}
-		}, { signal, passive: false } );
+		const recent = Object.entries( positions )
+			.filter( ( [ , position ] ) => now - position.time <= POSITION_MAX_AGE )
+			.sort( ( a, b ) => b[ 1 ].time - a[ 1 ].time )
+			.slice( 0, POSITION_MAX_ENTRIES );
 
-		// Handle touch end
-		this.container.addEventListener( 'touchend', ( e ) => {
-			if ( e.changedTouches.length === 1 && e.touches.length === 0 ) {
-				// Single touch ended - check for swipe
-				const touch = e.changedTouches[ 0 ];
-				const deltaX = touch.clientX - touchStartX;
-				const deltaY = touch.clientY - touchStartY;
-				const deltaTime = Date.now() - lastTouchTime;
-
-				// Swipe detection: horizontal movement > 50px and < 300ms
-				if ( Math.abs( deltaX ) > 50 && Math.abs( deltaY ) < 50 && deltaTime < 300 ) {
-					if ( deltaX > 0 ) {
-						this.prevPage();
-					} else {
-						this.nextPage();
-					}
-				}
-			}
-		}, { signal, passive: true } );
+		try {
+			window.localStorage.setItem( POSITIONS_STORAGE_KEY, JSON.stringify( Object.fromEntries( recent ) ) );
+		} catch ( error ) {
+			// Storage disabled or full; the position is not remembered
+		}
 	}
 
 	/**
-	 * Update toolbar page info
+	 * Offer to continue from the saved reading position, or go there
 	 */
-	updateToolbarPageInfo() {
-		if ( this.pageInput ) {
-			this.pageInput.value = String( this.currentPage );
-			this.pageInput.max = String( this.totalPages );
+	offerResume() {
+		// A deep link already chose where to open
+		if ( this.resumeMode === 'off' || this.config.deepLinked ) {
+			return;
 		}
 
-		if ( this.totalPagesSpan ) {
-			this.totalPagesSpan.textContent = String( this.totalPages );
+		const position = this.getSavedPosition();
+
+		// Nothing to return to
+		if ( ! position || position.page > this.totalPages || ( position.page <= 1 && ! position.top ) ) {
+			return;
 		}
 
-		// Update button states
-		this.updateNavigationButtons();
+		if ( this.resumeMode === 'auto' ) {
+			this.resumePosition( position );
+		} else {
+			this.showResumePrompt( position );
+		}
 	}
 
 	/**
-	 * Update navigation button states
+	 * Go to a saved reading position
+	 *
+	 * @param {Object} position - Saved position from getSavedPosition()
+	 * @returns {Promise<void>} Resolves once the page is rendered and scrolled
 	 */
-	updateNavigationButtons() {
-		const prevBtn = this.toolbar?.querySelector( '[data-action="prev"]' );
-		const nextBtn = this.toolbar?.querySelector( '[data-action="next"]' );
+	async resumePosition( position ) {
+		this.removeResumePrompt();
 
-		if ( prevBtn ) {
-			prevBtn.disabled = this.currentPage <= 1;
+		if ( position.zoom ) {
+			this.setZoomMode( position.zoom );
 		}
 
-		if ( nextBtn ) {
-			nextBtn.disabled = this.currentPage >= this.totalPages;
+		await this.goToPage( position.page );
+
+		const element = this.isContinuous() ? this.pageViews[ this.currentPage - 1 ]?.element : this.pageView?.element;
+		if ( ! element ) {
+			return;
 		}
+
+		this.canvasContainer.scrollTop = element.offsetTop + ( position.top || 0 ) * element.offsetHeight;
+		this.canvasContainer.scrollLeft = element.offsetLeft + ( position.left || 0 ) * element.offsetWidth;
 	}
 
 	/**
-	 * Update zoom label
+	 * Show the offer to continue from a saved reading position
+	 *
+	 * Sits over the top of the page without blocking it; turning the page dismisses it.
+	 *
+	 * @param {Object} position - Saved position from getSavedPosition()
 	 */
-	updateZoomLabel() {
-		if ( this.zoomLabel ) {
-			this.zoomLabel.textContent = Math.round( this.scale * 100 ) + '%';
-		}
+	showResumePrompt( position ) {
+		const prompt = document.createElement( 'div' );
+		prompt.className = CLASSES.dialog + ' ' + CLASSES.resume;
+		prompt.setAttribute( 'role', 'status' );
+
+		const message = document.createElement( 'p' );
+		message.textContent = this.formatMessage(
+			this.config.i18n.resumePrompt || 'Continue reading from page %1$d?',
+			position.page
+		);
 
-		// Update button states
-		const zoomOutBtn = this.toolbar?.querySelector( '[data-action="zoomOut"]' );
-		const zoomInBtn = this.toolbar?.querySelector( '[data-action="zoomIn"]' );
+		const actions = document.createElement( 'div' );
+		actions.className = CLASSES.dialogActions;
 
-		if ( zoomOutBtn ) {
-			zoomOutBtn.disabled = this.zoomIndex <= 0;
-		}
+		const dismiss = document.createElement( 'button' );
+		dismiss.type = 'button';
+		dismiss.className = CLASSES.dialogCancel;
+		dismiss.textContent = this.config.i18n.dismiss || 'Dismiss';
 
-		if ( zoomInBtn ) {
-			zoomInBtn.disabled = this.zoomIndex >= ZOOM_LEVELS.length - 1;
+		const resume = document.createElement( 'button' );
+		resume.type = 'button';
+		resume.className = CLASSES.dialogSubmit;
+		resume.textContent = this.config.i18n.resume || 'Resume';
+
+		dismiss.addEventListener( 'click', () => {
+			this.removeResumePrompt();
+			this.container.focus( { preventScroll: true } );
+		}, { signal: this.abortController.signal } );
+
+		resume.addEventListener( 'click', () => {
+			this.resumePosition( position );
+			this.container.focus( { preventScroll: true } );
+		}, { signal: this.abortController.signal } );
+
+		actions.appendChild( dismiss );
+		actions.appendChild( resume );
+		prompt.appendChild( message );
+		prompt.appendChild( actions );
+
+		this.container.appendChild( prompt );
+		this.resumePrompt = prompt;
+	}
+
+	/**
+	 * Remove the resume offer, if shown
+	 */
+	removeResumePrompt() {
+		if ( this.resumePrompt ) {
+			this.resumePrompt.remove();
+			this.resumePrompt = null;
 		}
 	}
 
@@ -1120,6 +6372,16 @@ export class MDPVViewer {
 		}
 	}
 
+	/**
+	 * Show loading indicator
+	 */
+	showLoading() {
+		const loadingEl = this.container.querySelector( '.' + CLASSES.loading );
+		if ( loadingEl ) {
+			loadingEl.hidden = false;
+		}
+	}
+
 	/**
 	 * Show error message
 	 *
@@ -1133,9 +6395,28 @@ export class MDPVViewer {
 		if ( errorContainer ) {
 			errorContainer.innerHTML = `<div class="${CLASSES.errorMessage}">${this.escapeHtml( message )}</div>`;
 			errorContainer.hidden = false;
+		} else {
+			// The error container is an alert already; only announce when it's missing
+			this.announce( message );
 		}
 	}
 
+	/**
+	 * Dispatch a viewer event on the container
+	 *
+	 * Events are named `mdpv:<name>`, bubble, and carry this viewer in
+	 * `detail.viewer` alongside the event data.
+	 *
+	 * @param {string} name - Event name without the `mdpv:` prefix
+	 * @param {Object} [detail] - Event data
+	 */
+	emit( name, detail = {} ) {
+		this.container.dispatchEvent( new CustomEvent( 'mdpv:' + name, {
+			bubbles: true,
+			detail: { viewer: this, ...detail },
+		} ) );
+	}
+
 	/**
 	 * Escape HTML
 	 *
@@ -1148,6 +6429,20 @@ export class MDPVViewer {
 		return div.innerHTML;
 	}
 
+	/**
+	 * Fill numbered placeholders (%1$s, %2$d, ...) in a translated string
+	 *
+	 * @param {string} template - String with sprintf-style numbered placeholders
+	 * @param {...*} values - Replacement values, in placeholder order
+	 * @returns {string} Formatted string
+	 */
+	formatMessage( template, ...values ) {
+		return template.replace( /%(\d+)\$[sd]/g, ( placeholder, index ) => {
+			const value = values[ parseInt( index, 10 ) - 1 ];
+			return value === undefined ? placeholder : String( value );
+		} );
+	}
+
 	/**
 	 * Debounce function calls
 	 *
@@ -1167,26 +6462,48 @@ export class MDPVViewer {
 		};
 	}
 
+	/**
+	 * Create the live region announcements are read from
+	 *
+	 * The region exists before anything is announced, as screen readers
+	 * ignore live regions inserted together with their text.
+	 */
+	createLiveRegion() {
+		if ( this.liveRegion ) {
+			return;
+		}
+
+		this.liveRegion = document.createElement( 'div' );
+		this.liveRegion.className = CLASSES.srOnly;
+		this.liveRegion.setAttribute( 'role', 'status' );
+		this.liveRegion.setAttribute( 'aria-live', 'polite' );
+		this.liveRegion.setAttribute( 'aria-atomic', 'true' );
+
+		this.container.appendChild( this.liveRegion );
+	}
+
 	/**
 	 * Announce message to screen readers
 	 *
+	 * The region is emptied first and filled on the next tick, so a
+	 * message repeated after a round trip (page 2, 3, 2) is read again.
+	 * Rapid announcements replace each other; only the last is read.
+	 *
 	 * @param {string} message - Message to announce
 	 */
 	announce( message ) {
-		const announcement = document.createElement( 'div' );
-		announcement.setAttribute( 'role', 'status' );
-		announcement.setAttribute( 'aria-live', 'polite' );
-		announcement.setAttribute( 'aria-atomic', 'true' );
-		announcement.className = 'mdpv-sr-only';
-		announcement.textContent = message;
+		if ( ! this.liveRegion ) {
+			return;
+		}
 
-		document.body.appendChild( announcement );
+		clearTimeout( this.announceTimer );
+		this.liveRegion.textContent = '';
 
-		setTimeout( () => {
-			if ( announcement.parentNode ) {
-				announcement.parentNode.removeChild( announcement );
+		this.announceTimer = setTimeout( () => {
+			if ( this.liveRegion ) {
+				this.liveRegion.textContent = message;
 			}
-		}, 1000 );
+		}, 100 );
 	}
 
 	/**
@@ -1195,29 +6512,107 @@ export class MDPVViewer {
 	 * Call this before removing the viewer from DOM
 	 */
 	destroy() {
+		// Keep the reading position for next time
+		this.savePosition();
+		this.removeResumePrompt();
+
+		if ( lastUsedViewer === this ) {
+			lastUsedViewer = null;
+		}
+
+		// End the slideshow timers; leaving fullscreen is left to the browser
+		clearTimeout( this.autoAdvanceTimer );
+		clearTimeout( this.controlsTimer );
+		this.presentation = null;
+		this.overviewOpen = false;
+
 		// Abort all event listeners
 		if ( this.abortController ) {
 			this.abortController.abort();
 			this.abortController = null;
 		}
 
-		// Cancel any active render
+		// Cancel any active render and drop queued ones
+		this.renderPending = false;
+
 		if ( this.renderTask ) {
 			this.renderTask.cancel();
 			this.renderTask = null;
 		}
 
-		// Destroy PDF document
+		// Free prerendered pages
+		this.cancelPrerender();
+		this.clearPageCache();
+
+		// Release continuous mode pages
+		if ( this.scrollFrame ) {
+			cancelAnimationFrame( this.scrollFrame );
+			this.scrollFrame = 0;
+		}
+
+		this.pageViews.forEach( ( view ) => this.releasePageView( view ) );
+		this.pageViews = [];
+
+		// Stop thumbnail rendering
+		if ( this.thumbnailObserver ) {
+			this.thumbnailObserver.disconnect();
+			this.thumbnailObserver = null;
+		}
+
+		this.thumbnailQueue = [];
+		this.thumbnailsNearView.clear();
+		this.renderedThumbnails.clear();
+		this.imageRects.clear();
+
+		if ( this.thumbnailTask ) {
+			this.thumbnailTask.cancel();
+			this.thumbnailTask = null;
+		}
+
+		// Stop a print job being prepared
+		this.printId++;
+		this.removePrintFrame();
+
+		// Drop search state; bumping the id stops a search in progress
+		this.searchId++;
+		this.searchMatches = [];
+		this.pageTexts = [];
+
+		// Destroy PDF document, or stop it loading
 		if ( this.pdfDoc ) {
 			this.pdfDoc.destroy();
 			this.pdfDoc = null;
 		}
 
+		// Destroying the loading task also aborts the download
+		if ( this.loadingTask ) {
+			this.loadingTask.destroy();
+			this.loadingTask = null;
+		}
+
+		this.removeLoadingProgress();
+		this.hideLoading();
+
 		// Clear canvas
 		if ( this.ctx && this.canvas ) {
 			this.ctx.clearRect( 0, 0, this.canvas.width, this.canvas.height );
 		}
 
+		[ this.pageView, this.spreadView ].forEach( ( view ) => {
+			if ( view ) {
+				this.clearTextLayer( view );
+				this.clearAnnotationLayer( view );
+				this.clearPageContent( view );
+				this.clearImageRegions( view );
+			}
+		} );
+
+		this.pageView = null;
+		this.spreadView = null;
+
+		this.linkService = null;
+		this.fieldObjects = null;
+
 		// Remove added elements
 		if ( this.canvasContainer && this.canvasContainer.parentNode ) {
 			this.canvasContainer.parentNode.removeChild( this.canvasContainer );
@@ -1227,23 +6622,66 @@ export class MDPVViewer {
 			this.toolbar.parentNode.removeChild( this.toolbar );
 		}
 
+		if ( this.sidebar && this.sidebar.parentNode ) {
+			this.sidebar.parentNode.removeChild( this.sidebar );
+		}
+
+		if ( this.passwordForm && this.passwordForm.parentNode ) {
+			this.passwordForm.parentNode.removeChild( this.passwordForm );
+		}
+
+		if ( this.printDialog && this.printDialog.parentNode ) {
+			this.printDialog.parentNode.removeChild( this.printDialog );
+		}
+
+		clearTimeout( this.announceTimer );
+		if ( this.liveRegion && this.liveRegion.parentNode ) {
+			this.liveRegion.parentNode.removeChild( this.liveRegion );
+		}
+
 		// Remove classes
-		this.container.classList.remove( CLASSES.active, CLASSES.loadingActive, CLASSES.fullscreen );
+		this.container.classList.remove( CLASSES.active, CLASSES.loadingActive, CLASSES.fullscreen, CLASSES.continuous, CLASSES.sidebarOpen, CLASSES.handTool, CLASSES.panning, CLASSES.pinching );
+		this.container.classList.remove( CLASSES.presenting, CLASSES.controlsVisible, CLASSES.overviewOpen );
+		this.container.classList.remove( ...PAGE_COLORS.map( ( mode ) => 'mdpv-colors-' + mode ) );
 
 		// Clear references
 		this.canvas = null;
 		this.ctx = null;
 		this.canvasContainer = null;
+		this.pagesContainer = null;
 		this.toolbar = null;
 		this.pageInput = null;
 		this.totalPagesSpan = null;
+		this.pageRangeSpan = null;
 		this.zoomLabel = null;
+		this.zoomSelect = null;
+		this.colorsSelect = null;
+		this.handToolBtn = null;
 		this.fullscreenBtn = null;
+		this.presentationBtn = null;
+		this.autoAdvanceBtn = null;
+		this.searchBar = null;
+		this.searchInput = null;
+		this.searchCount = null;
+		this.sidebar = null;
+		this.sidebarBtn = null;
+		this.sidebarTabs = null;
+		this.sidebarPanels.clear();
+		this.outlineTree = null;
+		this.passwordForm = null;
+		this.printDialog = null;
+		this.liveRegion = null;
+		this.thumbnails = [];
 
 		// Remove tabindex
 		this.container.removeAttribute( 'tabindex' );
 
+		this.emittedPage = 0;
+		this.emittedZoom = '';
+
 		console.log( '[MDPV Viewer] Destroyed' );
+
+		this.emit( 'destroyed' );
 	}
 
 	/**
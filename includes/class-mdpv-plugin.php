@@ -590,6 +590,22 @@ class Plugin {
 			$cmaps_url = MDPV_PLUGIN_URL . 'vendor/pdfjs/cmaps/';
 		}
 
+		/**
+		 * Filters the viewer keyboard shortcuts for the whole site.
+		 *
+		 * Keys are action names (prevPage, nextPage, firstPage, lastPage,
+		 * zoomIn, zoomOut, zoomReset, rotateCw, rotateCcw, handTool,
+		 * fullscreen, presentation, autoAdvance, overview, find, download,
+		 * print); values are a key combination such as 'Ctrl+S', a list of
+		 * them, or false to turn the action off. Actions left out keep their
+		 * default keys.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array $shortcuts Key combinations by action.
+		 */
+		$shortcuts = (array) apply_filters( 'mdpv_keyboard_shortcuts', array() );
+
 		return array(
 			'ajaxUrl'      => admin_url( 'admin-ajax.php' ),
 			'restUrl'      => rest_url( 'mdpv/v1' ),
@@ -599,21 +615,81 @@ class Plugin {
 			'pdfWorkerUrl' => $worker_url,
 			'cmapsUrl'     => $cmaps_url, // Local cmaps URL if available
 			'pluginUrl'    => MDPV_PLUGIN_URL,
+			'shortcuts'    => (object) $shortcuts, // Encoded as an object even when empty
 			'i18n'         => array(
-				'loading'        => __( 'Loading document...', 'maxtdesign-pdf-viewer' ),
-				'error'          => __( 'Failed to load document', 'maxtdesign-pdf-viewer' ),
-				'loadError'      => __( 'Failed to load viewer module', 'maxtdesign-pdf-viewer' ),
-				'page'           => __( 'Page', 'maxtdesign-pdf-viewer' ),
-				'of'             => __( 'of', 'maxtdesign-pdf-viewer' ),
-				'zoom'           => __( 'Zoom', 'maxtdesign-pdf-viewer' ),
-				'zoomIn'         => __( 'Zoom in', 'maxtdesign-pdf-viewer' ),
-				'zoomOut'        => __( 'Zoom out', 'maxtdesign-pdf-viewer' ),
-				'prevPage'       => __( 'Previous page', 'maxtdesign-pdf-viewer' ),
-				'nextPage'       => __( 'Next page', 'maxtdesign-pdf-viewer' ),
-				'download'       => __( 'Download', 'maxtdesign-pdf-viewer' ),
-				'print'          => __( 'Print', 'maxtdesign-pdf-viewer' ),
-				'fullscreen'     => __( 'Fullscreen', 'maxtdesign-pdf-viewer' ),
-				'exitFullscreen' => __( 'Exit fullscreen', 'maxtdesign-pdf-viewer' ),
+				'loading'            => __( 'Loading document...', 'maxtdesign-pdf-viewer' ),
+				'error'              => __( 'Failed to load document', 'maxtdesign-pdf-viewer' ),
+				'loadError'          => __( 'Failed to load viewer module', 'maxtdesign-pdf-viewer' ),
+				'page'               => __( 'Page', 'maxtdesign-pdf-viewer' ),
+				'of'                 => __( 'of', 'maxtdesign-pdf-viewer' ),
+				'zoom'               => __( 'Zoom', 'maxtdesign-pdf-viewer' ),
+				'zoomIn'             => __( 'Zoom in', 'maxtdesign-pdf-viewer' ),
+				'zoomOut'            => __( 'Zoom out', 'maxtdesign-pdf-viewer' ),
+				'zoomMode'           => __( 'Zoom mode', 'maxtdesign-pdf-viewer' ),
+				'pageFit'            => __( 'Page fit', 'maxtdesign-pdf-viewer' ),
+				'pageWidth'          => __( 'Page width', 'maxtdesign-pdf-viewer' ),
+				'actualSize'         => __( 'Actual size', 'maxtdesign-pdf-viewer' ),
+				/* translators: %1$s: zoom mode name or percentage */
+				'zoomAnnouncement'   => __( 'Zoom %1$s', 'maxtdesign-pdf-viewer' ),
+				'customZoom'         => __( 'Custom', 'maxtdesign-pdf-viewer' ),
+				'rotateCw'           => __( 'Rotate clockwise', 'maxtdesign-pdf-viewer' ),
+				'rotateCcw'          => __( 'Rotate counterclockwise', 'maxtdesign-pdf-viewer' ),
+				'handTool'           => __( 'Hand tool', 'maxtdesign-pdf-viewer' ),
+				'pageColors'         => __( 'Page colors', 'maxtdesign-pdf-viewer' ),
+				'colorsDefault'      => __( 'Original colors', 'maxtdesign-pdf-viewer' ),
+				'colorsDark'         => __( 'Dark', 'maxtdesign-pdf-viewer' ),
+				'colorsSepia'        => __( 'Sepia', 'maxtdesign-pdf-viewer' ),
+				'colorsContrast'     => __( 'High contrast', 'maxtdesign-pdf-viewer' ),
+				'passwordPrompt'     => __( 'This document is password protected. Enter the password to open it.', 'maxtdesign-pdf-viewer' ),
+				'password'           => __( 'Password', 'maxtdesign-pdf-viewer' ),
+				'passwordIncorrect'  => __( 'Incorrect password. Please try again.', 'maxtdesign-pdf-viewer' ),
+				'openDocument'       => __( 'Open', 'maxtdesign-pdf-viewer' ),
+				'cancel'             => __( 'Cancel', 'maxtdesign-pdf-viewer' ),
+				/* translators: %1$d: page number */
+				'resumePrompt'       => __( 'Continue reading from page %1$d?', 'maxtdesign-pdf-viewer' ),
+				'resume'             => __( 'Resume', 'maxtdesign-pdf-viewer' ),
+				'dismiss'            => __( 'Dismiss', 'maxtdesign-pdf-viewer' ),
+				'downloadProgress'   => __( 'Download progress', 'maxtdesign-pdf-viewer' ),
+				'printPages'         => __( 'Print pages', 'maxtdesign-pdf-viewer' ),
+				'printAll'           => __( 'All pages', 'maxtdesign-pdf-viewer' ),
+				'printCurrent'       => __( 'Current page', 'maxtdesign-pdf-viewer' ),
+				'printRange'         => __( 'Pages', 'maxtdesign-pdf-viewer' ),
+				'printRangeLabel'    => __( 'Page range, for example 1-3, 8', 'maxtdesign-pdf-viewer' ),
+				/* translators: %1$d: number of pages in the document */
+				'printRangeError'    => __( 'Enter pages between 1 and %1$d, for example 1-3, 8.', 'maxtdesign-pdf-viewer' ),
+				'prevPage'           => __( 'Previous page', 'maxtdesign-pdf-viewer' ),
+				'nextPage'           => __( 'Next page', 'maxtdesign-pdf-viewer' ),
+				'download'           => __( 'Download', 'maxtdesign-pdf-viewer' ),
+				'print'              => __( 'Print', 'maxtdesign-pdf-viewer' ),
+				'fullscreen'         => __( 'Fullscreen', 'maxtdesign-pdf-viewer' ),
+				'exitFullscreen'     => __( 'Exit fullscreen', 'maxtdesign-pdf-viewer' ),
+				'presentation'       => __( 'Presentation', 'maxtdesign-pdf-viewer' ),
+				'pauseSlideshow'     => __( 'Pause slideshow', 'maxtdesign-pdf-viewer' ),
+				'resumeSlideshow'    => __( 'Resume slideshow', 'maxtdesign-pdf-viewer' ),
+				'slideshowPaused'    => __( 'Slideshow paused', 'maxtdesign-pdf-viewer' ),
+				'slideshowResumed'   => __( 'Slideshow resumed', 'maxtdesign-pdf-viewer' ),
+				'search'             => __( 'Search', 'maxtdesign-pdf-viewer' ),
+				'searchPlaceholder'  => __( 'Find in document', 'maxtdesign-pdf-viewer' ),
+				'findPrev'           => __( 'Previous match', 'maxtdesign-pdf-viewer' ),
+				'findNext'           => __( 'Next match', 'maxtdesign-pdf-viewer' ),
+				'closeSearch'        => __( 'Close search', 'maxtdesign-pdf-viewer' ),
+				/* translators: 1: current match number, 2: total number of matches */
+				'searchCount'        => __( '%1$d of %2$d', 'maxtdesign-pdf-viewer' ),
+				'searchNoResults'    => __( 'No matches', 'maxtdesign-pdf-viewer' ),
+				'toggleSidebar'      => __( 'Toggle sidebar', 'maxtdesign-pdf-viewer' ),
+				'outline'            => __( 'Document outline', 'maxtdesign-pdf-viewer' ),
+				'outlineTab'         => __( 'Outline', 'maxtdesign-pdf-viewer' ),
+				'thumbnailsTab'      => __( 'Pages', 'maxtdesign-pdf-viewer' ),
+				/* translators: %1$d: number of pages in the document */
+				'documentLoaded'     => __( 'Document loaded, %1$d pages', 'maxtdesign-pdf-viewer' ),
+				/* translators: 1: current page number, 2: number of pages in the document */
+				'pageAnnouncement'   => __( 'Page %1$d of %2$d', 'maxtdesign-pdf-viewer' ),
+				/* translators: 1: left page number, 2: right page number, 3: number of pages in the document */
+				'spreadAnnouncement' => __( 'Pages %1$d and %2$d of %3$d', 'maxtdesign-pdf-viewer' ),
+				/* translators: %1$d: page number */
+				'pageLabel'          => __( 'Page %1$d', 'maxtdesign-pdf-viewer' ),
+				/* translators: %1$d: page number */
+				'goToPage'           => __( 'Go to page %1$d', 'maxtdesign-pdf-viewer' ),
 			),
 		);
 	}
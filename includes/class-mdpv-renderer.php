@@ -42,6 +42,7 @@ class Renderer {
 	 *     @type bool   $showDownload   Whether to show download button. Default true.
 	 *     @type bool   $showPrint      Whether to show print button. Default true.
 	 *     @type bool   $showFullscreen Whether to show fullscreen button. Default true.
+	 *     @type string $anchor         Block HTML anchor, used as the viewer element ID. Optional.
 	 * }
 	 * @return string HTML output.
 	 */
@@ -123,6 +124,9 @@ class Renderer {
 			$show_fullscreen = $default_fullscreen;
 		}
 
+		// Block "HTML anchor" setting replaces the generated element ID (also the deep link key)
+		$anchor = isset( $attributes['anchor'] ) ? sanitize_html_class( (string) $attributes['anchor'] ) : '';
+
 		// Build the HTML
 		return self::build_viewer_html(
 			$attachment_id,
@@ -137,7 +141,8 @@ class Renderer {
 			$show_toolbar,
 			$show_download,
 			$show_print,
-			$show_fullscreen
+			$show_fullscreen,
+			$anchor
 		);
 	}
 
@@ -157,6 +162,7 @@ class Renderer {
 	 * @param bool        $show_download  Show download button flag.
 	 * @param bool        $show_print     Show print button flag.
 	 * @param bool        $show_fullscreen Show fullscreen button flag.
+	 * @param string      $anchor         Element ID override. Default empty (generated ID).
 	 * @return string HTML output.
 	 */
 	private static function build_viewer_html(
@@ -172,7 +178,8 @@ class Renderer {
 		bool $show_toolbar,
 		bool $show_download,
 		bool $show_print,
-		bool $show_fullscreen
+		bool $show_fullscreen,
+		string $anchor = ''
 	): string {
 		// Calculate aspect ratio for zero CLS
 		$aspect_ratio = $pdf_width . ' / ' . $pdf_height;
@@ -192,8 +199,8 @@ class Renderer {
 		// Build inline styles
 		$styles = self::build_inline_styles( $aspect_ratio, $custom_width );
 
-		// Generate unique ID for accessibility
-		$viewer_id = 'mdpv-viewer-' . $attachment_id;
+		// Generate unique ID for accessibility, unless the block sets an anchor
+		$viewer_id = '' !== $anchor ? $anchor : 'mdpv-viewer-' . $attachment_id;
 
 		ob_start();
 		?>
@@ -225,31 +232,31 @@ class Renderer {
 				>
 			<?php endif; ?>
 
-			<?php if ( 'immediate' !== $load_behavior && $preview_url ) : ?>
-				<button 
-					class="mdpv-activate" 
-					type="button" 
-					aria-label="<?php echo esc_attr( sprintf(
-						/* translators: 1: PDF title */
-						__( 'Open interactive viewer for %s', 'maxtdesign-pdf-viewer' ),
-						$pdf_title
-					) ); ?>"
-					aria-controls="<?php echo esc_attr( $viewer_id ); ?>"
-				>
-					<svg class="mdpv-activate-icon" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true" focusable="false">
-						<path d="M8 5v14l11-7z"/>
-					</svg>
-					<span class="mdpv-activate-text">
-						<?php
-						printf(
-							/* translators: %d: Number of pages */
-							esc_html__( 'View Document (%d pages)', 'maxtdesign-pdf-viewer' ),
-							esc_html( (string) $page_count )
-						);
-						?>
-					</span>
-				</button>
-			<?php endif; ?>
+			<?php // Immediate viewers only show the button after the reader closes the viewer. ?>
+			<button 
+				class="mdpv-activate" 
+				type="button" 
+				<?php echo 'immediate' === $load_behavior ? 'hidden' : ''; ?>
+				aria-label="<?php echo esc_attr( sprintf(
+					/* translators: 1: PDF title */
+					__( 'Open interactive viewer for %s', 'maxtdesign-pdf-viewer' ),
+					$pdf_title
+				) ); ?>"
+				aria-controls="<?php echo esc_attr( $viewer_id ); ?>"
+			>
+				<svg class="mdpv-activate-icon" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true" focusable="false">
+					<path d="M8 5v14l11-7z"/>
+				</svg>
+				<span class="mdpv-activate-text">
+					<?php
+					printf(
+						/* translators: %d: Number of pages */
+						esc_html__( 'View Document (%d pages)', 'maxtdesign-pdf-viewer' ),
+						esc_html( (string) $page_count )
+					);
+					?>
+				</span>
+			</button>
 
 			<div class="mdpv-loading" aria-live="polite" hidden>
 				<div class="mdpv-spinner" aria-hidden="true"></div>
@@ -296,9 +303,22 @@ class Renderer {
 			'data-fullscreen'     => $show_fullscreen ? 'true' : 'false',
 		];
 
+		/**
+		 * Filters the data attributes passed to the JavaScript viewer.
+		 *
+		 * Use this to set viewer options that have no block setting,
+		 * e.g. `$attrs['data-view-mode'] = 'continuous';`.
+		 *
+		 * @since 1.1.0
+		 *
+		 * @param array $attrs         Attribute name => value pairs.
+		 * @param int   $attachment_id Attachment ID of the PDF.
+		 */
+		$attrs = (array) apply_filters( 'mdpv_viewer_data_attributes', $attrs, $attachment_id );
+
 		$output = '';
 		foreach ( $attrs as $name => $value ) {
-			$output .= sprintf( ' %s="%s"', $name, $value );
+			$output .= sprintf( ' %s="%s"', sanitize_key( $name ), esc_attr( (string) $value ) );
 		}
 
 		return $output;